@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Copies bundled OCR language data into tessdata/ from the
+// @tesseract.js-data/<lang> dev dependencies before a build (see
+// tessdata/README.md). Files already in tessdata/ are kept. Languages still
+// missing afterwards are only reported: the app downloads them on first use.
+
+const LANGUAGES = ['rus', 'ukr', 'eng', 'chi_sim', 'chi_tra', 'ara', 'fas', 'kor', 'jpn'];
+const dir = path.join(__dirname, '..', 'tessdata');
+
+function isPresent(lang) {
+    return fs.existsSync(path.join(dir, `${lang}.traineddata`)) ||
+        fs.existsSync(path.join(dir, `${lang}.traineddata.gz`));
+}
+
+// 4.0.0_best_int holds the same LSTM models Tesseract.js downloads by default
+function packagedFile(lang) {
+    try {
+        const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+        const file = path.join(packageDir, '4.0.0_best_int', `${lang}.traineddata.gz`);
+        return fs.existsSync(file) ? file : null;
+    } catch {
+        return null;
+    }
+}
+
+fs.mkdirSync(dir, { recursive: true });
+const copied = [];
+const missing = [];
+for (const lang of LANGUAGES) {
+    if (isPresent(lang)) continue;
+    const source = packagedFile(lang);
+    if (!source) {
+        missing.push(lang);
+        continue;
+    }
+    const target = path.join(dir, `${lang}.traineddata.gz`);
+    fs.copyFileSync(source, `${target}.tmp`);
+    fs.renameSync(`${target}.tmp`, target);
+    copied.push(lang);
+}
+
+if (copied.length > 0) {
+    console.log(`Copied OCR language data into tessdata/: ${copied.join(', ')}`);
+}
+if (missing.length > 0) {
+    console.warn(`OCR language data not bundled: ${missing.join(', ')} (downloaded on first use instead)`);
+} else {
+    console.log(`OCR language data bundled: ${LANGUAGES.join(', ')}`);
+}
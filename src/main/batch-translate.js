@@ -0,0 +1,72 @@
+// Batched translation of short texts (chat import)
+//
+// Many short messages are packed into one provider request, each after a
+// numbered delimiter like "[[M0]]" on its own line. Providers keep bracketed
+// tokens (see placeholders.js) with the same quirks: spaces inside the
+// brackets, or the "M" transliterated to a Cyrillic "М". A response that
+// doesn't give back every delimiter exactly once and in order is treated as
+// mangled, and the caller translates that batch message by message.
+
+const { byteLength } = require('./chunker');
+
+const DELIMITER = /\[\s*\[\s*[MmМм]\s*(\d+)\s*\]\s*\]/g;
+const MAX_ITEMS = 40;
+
+function delimiterFor(index) {
+    return `[[M${index}]]`;
+}
+
+// Texts that already contain something delimiter-like can't be batched safely
+function canBatch(text) {
+    DELIMITER.lastIndex = 0;
+    return !DELIMITER.test(text);
+}
+
+// items: [{ id, text }] -> batches (arrays of items) whose joined text fits
+// in maxBytes; texts too long to share a request get a batch of their own
+function packBatches(items, { maxBytes, maxItems = MAX_ITEMS }) {
+    const batches = [];
+    let current = [];
+    let currentBytes = 0;
+
+    const close = () => {
+        if (current.length > 0) batches.push(current);
+        current = [];
+        currentBytes = 0;
+    };
+
+    for (const item of items) {
+        const bytes = byteLength(item.text) + byteLength(delimiterFor(current.length)) + 2;
+        if (bytes > maxBytes / 2 || !canBatch(item.text)) {
+            batches.push([item]);
+            continue;
+        }
+        if (currentBytes + bytes > maxBytes || current.length >= maxItems) close();
+        current.push(item);
+        currentBytes += bytes;
+    }
+    close();
+    return batches;
+}
+
+function joinBatch(texts) {
+    return texts.map((text, index) => `${delimiterFor(index)}\n${text}`).join('\n');
+}
+
+// Translated batch -> texts in order, or null when it was mangled
+function splitBatch(translated, count) {
+    const matches = [...translated.matchAll(DELIMITER)];
+    if (matches.length !== count) return null;
+    if (matches.some((match, index) => Number(match[1]) !== index)) return null;
+    if (translated.slice(0, matches[0].index).trim()) return null;
+
+    const texts = matches.map((match, index) => {
+        const end = index + 1 < count ? matches[index + 1].index : translated.length;
+        return translated.slice(match.index + match[0].length, end).trim();
+    });
+
+    // A message translated to nothing means the provider merged it into a neighbour
+    return texts.every(Boolean) ? texts : null;
+}
+
+module.exports = { packBatches, joinBatch, splitBatch, canBatch };
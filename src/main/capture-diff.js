@@ -0,0 +1,130 @@
+// Change detection for live screen capture
+//
+// Each overlay keeps a capture session. A frame whose difference hash (dHash)
+// is within a few bits of the last processed frame is skipped before OCR.
+// For frames that did change, OCR lines are compared with everything seen in
+// the session so only lines that newly appeared get translated. OCR output
+// jitters between frames, so lines are compared on a normalised form and,
+// against the previous frame, by bigram similarity.
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const UNCHANGED_DISTANCE = 3;      // Max differing bits (of 64) to treat a frame as unchanged
+const SIMILAR_LINE = 0.75;         // Dice coefficient above which two OCR lines are the same line
+const MAX_SEEN_LINES = 2000;
+
+// 64-bit difference hash of a nativeImage, as 16 hex characters
+function imageHash(image) {
+    const small = image.resize({ width: HASH_WIDTH, height: HASH_HEIGHT, quality: 'good' });
+    const bitmap = small.toBitmap(); // BGRA
+    const gray = [];
+    for (let i = 0; i < HASH_WIDTH * HASH_HEIGHT; i++) {
+        const b = bitmap[i * 4];
+        const g = bitmap[i * 4 + 1];
+        const r = bitmap[i * 4 + 2];
+        gray.push(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+
+    let hex = '';
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = gray[y * HASH_WIDTH + x];
+            const right = gray[y * HASH_WIDTH + x + 1];
+            nibble = (nibble << 1) | (left > right ? 1 : 0);
+            if (++bits === 4) {
+                hex += nibble.toString(16);
+                nibble = 0;
+                bits = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+function hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Lowercase letters and digits only; OCR mostly varies in punctuation and spacing
+function normalizeLine(line) {
+    return line.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function bigrams(text) {
+    const result = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        result.set(pair, (result.get(pair) || 0) + 1);
+    }
+    return result;
+}
+
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const left = bigrams(a);
+    const right = bigrams(b);
+    let overlap = 0;
+    for (const [pair, count] of left) {
+        overlap += Math.min(count, right.get(pair) || 0);
+    }
+    return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+function splitLines(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function createCaptureSession() {
+    let lastHash = null;
+    let previousLines = []; // Normalised lines of the last processed frame
+    let seen = new Set();   // Normalised lines seen during the session
+
+    function isUnchanged(hash) {
+        return hammingDistance(hash, lastHash) <= UNCHANGED_DISTANCE;
+    }
+
+    // Lines in `lines` that were not on screen before
+    function newLines(lines) {
+        return lines.filter(line => {
+            const key = normalizeLine(line);
+            if (!key) return false;
+            if (seen.has(key)) return false;
+            return !previousLines.some(previous => similarity(previous, key) >= SIMILAR_LINE);
+        });
+    }
+
+    // Remember a processed frame (only once its new lines were translated)
+    function commit(hash, lines) {
+        lastHash = hash;
+        previousLines = lines.map(normalizeLine).filter(Boolean);
+        for (const key of previousLines) {
+            seen.delete(key);
+            seen.add(key);
+        }
+        if (seen.size > MAX_SEEN_LINES) {
+            seen = new Set([...seen].slice(seen.size - MAX_SEEN_LINES));
+        }
+    }
+
+    function reset() {
+        lastHash = null;
+        previousLines = [];
+        seen = new Set();
+    }
+
+    return { isUnchanged, newLines, commit, reset };
+}
+
+module.exports = { createCaptureSession, imageHash, hammingDistance, splitLines, normalizeLine };
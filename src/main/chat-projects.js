@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Chat translation projects, persisted in userData/chat-projects
+//
+// Each imported export gets a folder:
+//   project.json          metadata: name, format, target language, run state, progress
+//   messages.json         the parsed export (the chat view's message model)
+//   translations.json     translations by message id, compacted
+//   translations.jsonl    translations appended as they arrive
+// Appending one line per message keeps saving cheap during a long run, and a
+// crash loses at most the line being written. Loading replays the log over the
+// compacted file (the last line for a message wins) and compacts again.
+//
+// Run state: 'idle' | 'running' | 'paused' | 'cancelled' | 'done'. A project
+// left 'running' was interrupted (window closed, crash) and is resumed.
+
+const PROJECT_ID = /^[a-z0-9-]+$/;
+
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+        return fallback;
+    }
+}
+
+function writeJson(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function createChatProjectStore({ dir, maxProjects = 30 }) {
+    function folderOf(id) {
+        if (!PROJECT_ID.test(id || '')) throw new Error(`Invalid project id: ${id}`);
+        return path.join(dir, id);
+    }
+
+    function fileOf(id, name) {
+        return path.join(folderOf(id), name);
+    }
+
+    function readMeta(id) {
+        return readJson(fileOf(id, 'project.json'), null);
+    }
+
+    // Compacted translations plus the log; a torn last line is ignored
+    function readTranslations(id) {
+        const translations = readJson(fileOf(id, 'translations.json'), {});
+        let log = '';
+        try {
+            log = fs.readFileSync(fileOf(id, 'translations.jsonl'), 'utf8');
+        } catch {
+            return translations;
+        }
+        for (const line of log.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                translations[entry.id] = entry;
+            } catch {
+                // Partial write from a crash
+            }
+        }
+        return translations;
+    }
+
+    function progressOf(translations, messageCount) {
+        const entries = Object.values(translations);
+        return {
+            total: messageCount,
+            translated: entries.filter(entry => !entry.error).length,
+            failed: entries.filter(entry => entry.error).length
+        };
+    }
+
+    function list() {
+        let ids = [];
+        try {
+            ids = fs.readdirSync(dir).filter(name => PROJECT_ID.test(name));
+        } catch {
+            return [];
+        }
+        return ids
+            .map(readMeta)
+            .filter(Boolean)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // Oldest projects beyond the limit are removed, except ones still running
+    function prune() {
+        list()
+            .slice(maxProjects)
+            .filter(project => project.state !== 'running' && project.state !== 'paused')
+            .forEach(project => remove(project.id));
+    }
+
+    function create({ name, format, sourceNames = [], messages }) {
+        const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+        const now = Date.now();
+        const meta = {
+            version: 1,
+            id,
+            name: name || 'Imported Chat',
+            format: format || null,
+            sourceNames,
+            targetLang: null,
+            state: 'idle',
+            progress: { total: messages.length, translated: 0, failed: 0 },
+            createdAt: now,
+            updatedAt: now
+        };
+
+        fs.mkdirSync(folderOf(id), { recursive: true });
+        writeJson(fileOf(id, 'messages.json'), messages);
+        writeJson(fileOf(id, 'project.json'), meta);
+        prune();
+        return meta;
+    }
+
+    function load(id) {
+        const meta = readMeta(id);
+        if (!meta) return null;
+        const messages = readJson(fileOf(id, 'messages.json'), []);
+        const translations = readTranslations(id);
+
+        // Compact the log so it doesn't grow across sessions
+        try {
+            writeJson(fileOf(id, 'translations.json'), translations);
+            fs.rmSync(fileOf(id, 'translations.jsonl'), { force: true });
+            meta.progress = progressOf(translations, messages.length);
+            writeJson(fileOf(id, 'project.json'), meta);
+        } catch (error) {
+            console.error('Failed to compact chat project:', error.message);
+        }
+
+        return { ...meta, messages, translations };
+    }
+
+    // entries: [{ id (message id), text, entities, service, provider, to, error }].
+    // Lines start with the newline so one torn by a crash can't swallow the next.
+    function record(id, entries) {
+        const at = Date.now();
+        const lines = entries.map(entry => `\n${JSON.stringify({ ...entry, at })}`).join('');
+        fs.appendFileSync(fileOf(id, 'translations.jsonl'), lines);
+    }
+
+    function update(id, changes) {
+        const meta = readMeta(id);
+        if (!meta) return null;
+        for (const key of ['name', 'targetLang', 'state', 'progress']) {
+            if (changes[key] !== undefined) meta[key] = changes[key];
+        }
+        meta.updatedAt = Date.now();
+        writeJson(fileOf(id, 'project.json'), meta);
+        return meta;
+    }
+
+    function remove(id) {
+        fs.rmSync(folderOf(id), { recursive: true, force: true });
+        return true;
+    }
+
+    return { list, create, load, record, update, remove };
+}
+
+module.exports = { createChatProjectStore };
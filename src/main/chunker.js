@@ -0,0 +1,184 @@
+// Long-text chunking and reassembly
+//
+// Providers take the text in a URL path or query string, so long posts have
+// to be split. The text is broken into lines; each line keeps its structure
+// (indentation, list marker / quote prefix, trailing whitespace, line ending)
+// out of the translation and only its content is sent. Lines longer than a
+// chunk are split on sentence boundaries, then on whitespace as a last resort.
+// Pieces are packed into chunks joined by "\n", translated, and put back in
+// place; a chunk whose translation comes back with a different number of
+// lines is retranslated piece by piece so nothing shifts.
+
+// Indentation + bullets (-, *, •, ·, –, —), numbered items (1. 1) a)), quotes (>)
+const LINE_PREFIX = /^(\s*(?:(?:[-*•·–—]|\d{1,3}[.)]|[a-zA-Z][.)]|>+)\s+)?)/;
+const SENTENCE_END = /(?<=[.!?…。！？；;])\s+/;
+
+function byteLength(text) {
+    return Buffer.byteLength(text, 'utf8');
+}
+
+// Split one over-long line into pieces, keeping the whitespace between them
+function splitLongContent(content, maxBytes) {
+    const pieces = [];
+    const separators = [];
+
+    const pushPiece = (piece, separator) => {
+        pieces.push(piece);
+        separators.push(separator);
+    };
+
+    // Sentences first
+    const sentences = [];
+    let lastIndex = 0;
+    const sentenceRegex = new RegExp(SENTENCE_END.source, 'g');
+    let match;
+    while ((match = sentenceRegex.exec(content)) !== null) {
+        sentences.push({ text: content.slice(lastIndex, match.index), separator: match[0] });
+        lastIndex = match.index + match[0].length;
+    }
+    sentences.push({ text: content.slice(lastIndex), separator: '' });
+
+    // Greedily merge sentences back together while they fit
+    let current = null;
+    for (const sentence of sentences) {
+        if (current && byteLength(current.text + current.separator + sentence.text) <= maxBytes) {
+            current.text += current.separator + sentence.text;
+            current.separator = sentence.separator;
+            continue;
+        }
+        if (current) pushPiece(current.text, current.separator);
+        current = { ...sentence };
+    }
+    if (current) pushPiece(current.text, current.separator);
+
+    // Hard-split anything still too long at whitespace (or mid-word if there is none)
+    const result = { pieces: [], separators: [] };
+    pieces.forEach((piece, i) => {
+        if (byteLength(piece) <= maxBytes) {
+            result.pieces.push(piece);
+            result.separators.push(separators[i]);
+            return;
+        }
+
+        let rest = piece;
+        while (byteLength(rest) > maxBytes) {
+            let cut = Math.max(1, Math.floor(rest.length * maxBytes / byteLength(rest)));
+            const space = rest.lastIndexOf(' ', cut);
+            if (space > cut / 2) cut = space;
+            result.pieces.push(rest.slice(0, cut));
+            const spaceMatch = rest.slice(cut).match(/^\s*/)[0];
+            result.separators.push(spaceMatch);
+            rest = rest.slice(cut + spaceMatch.length);
+        }
+        result.pieces.push(rest);
+        result.separators.push(separators[i]);
+    });
+
+    return result;
+}
+
+// Break text into a layout (structure kept locally) and the pieces to translate
+function buildLayout(text, maxBytes) {
+    const lines = [];
+    const pieces = [];
+    const lineRegex = /([^\r\n]*)(\r\n|\n|\r|$)/g;
+    let match;
+
+    while ((match = lineRegex.exec(text)) !== null) {
+        const [, line, ending] = match;
+        const prefix = line.match(LINE_PREFIX)[0];
+        const suffix = line.slice(prefix.length).match(/\s*$/)[0];
+        const content = line.slice(prefix.length, line.length - suffix.length);
+
+        const entry = { prefix, suffix, ending, pieceIndexes: [], separators: [] };
+        if (content) {
+            const split = byteLength(content) > maxBytes
+                ? splitLongContent(content, maxBytes)
+                : { pieces: [content], separators: [''] };
+            split.pieces.forEach((piece, i) => {
+                entry.pieceIndexes.push(pieces.length);
+                entry.separators.push(split.separators[i]);
+                pieces.push(piece);
+            });
+        }
+        lines.push(entry);
+
+        if (!ending) break;
+    }
+
+    return { lines, pieces };
+}
+
+// Pack consecutive pieces into chunks of at most maxBytes (joined by "\n")
+function packChunks(pieces, maxBytes) {
+    const chunks = [];
+    let current = null;
+
+    pieces.forEach((piece, index) => {
+        const size = byteLength(piece);
+        if (current && current.bytes + 1 + size <= maxBytes) {
+            current.indexes.push(index);
+            current.bytes += 1 + size;
+        } else {
+            current = { indexes: [index], bytes: size };
+            chunks.push(current);
+        }
+    });
+
+    return chunks.map(chunk => ({
+        indexes: chunk.indexes,
+        text: chunk.indexes.map(i => pieces[i]).join('\n')
+    }));
+}
+
+function reassemble(layout, translatedPieces) {
+    return layout.lines.map(line => {
+        const content = line.pieceIndexes
+            .map((pieceIndex, i) => translatedPieces[pieceIndex] + line.separators[i])
+            .join('');
+        return line.prefix + content + line.suffix + line.ending;
+    }).join('');
+}
+
+function needsChunking(text, maxBytes) {
+    return byteLength(text) > maxBytes;
+}
+
+// Translate long text chunk by chunk.
+//   translateChunk(text) -> { text, ... } for a single chunk
+//   onProgress({ done, total }) after every chunk
+async function translateInChunks(text, maxBytes, translateChunk, onProgress = () => {}) {
+    const layout = buildLayout(text, maxBytes);
+    const chunks = packChunks(layout.pieces, maxBytes);
+    const translated = new Array(layout.pieces.length);
+    const results = [];
+
+    onProgress({ done: 0, total: chunks.length });
+
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const result = await translateChunk(chunk.text);
+        results.push(result);
+
+        const lines = result.text.split(/\r?\n/);
+        if (lines.length === chunk.indexes.length) {
+            chunk.indexes.forEach((pieceIndex, j) => {
+                translated[pieceIndex] = lines[j].trim();
+            });
+        } else {
+            // Provider merged or split lines; translate each piece on its own
+            console.log(`Chunk ${i + 1}: expected ${chunk.indexes.length} lines, got ${lines.length}; retrying per line`);
+            for (const pieceIndex of chunk.indexes) {
+                const pieceResult = await translateChunk(layout.pieces[pieceIndex]);
+                results.push(pieceResult);
+                translated[pieceIndex] = pieceResult.text.trim();
+            }
+        }
+
+        onProgress({ done: i + 1, total: chunks.length });
+    }
+
+    return { text: reassemble(layout, translated), results, chunks: chunks.length };
+}
+
+module.exports = { needsChunking, buildLayout, packChunks, reassemble, translateInChunks, byteLength };
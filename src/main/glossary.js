@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toCsv } = require('./history-store');
+const { parseCsv } = require('../shared/csv');
+
+// User glossary: do-not-translate terms and forced translations
+//
+// Each entry applies to a language pair; '*' matches any language on that
+// side. An entry without a translation is kept verbatim (handles, group
+// names, malware families); one with a translation is always rendered that
+// way. Entries are matched case-insensitively on whole words unless told
+// otherwise, longest term first.
+
+const SAVE_DEBOUNCE = 1000;
+const CSV_COLUMNS = ['term', 'translation', 'from', 'to', 'caseSensitive', 'wholeWord', 'note'];
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+function parseBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return /^(1|true|yes|y)$/i.test(String(value).trim());
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeEntry(item) {
+    return {
+        term: String(item.term || '').trim(),
+        translation: item.translation ? String(item.translation).trim() : '',
+        from: String(item.from || '*').trim() || '*',
+        to: String(item.to || '*').trim() || '*',
+        caseSensitive: parseBoolean(item.caseSensitive, false),
+        wholeWord: parseBoolean(item.wholeWord, true),
+        note: item.note ? String(item.note) : ''
+    };
+}
+
+function createGlossary({ filePath, onChange = () => {} }) {
+    let entries = [];
+    let saveTimer = null;
+    let matchers = null; // Compiled regexes, rebuilt lazily after edits
+
+    try {
+        if (fs.existsSync(filePath)) {
+            entries = JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || [];
+        }
+    } catch (error) {
+        console.error('Failed to load glossary:', error.message);
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            flush();
+        }, SAVE_DEBOUNCE);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries }));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            console.error('Failed to save glossary:', error.message);
+        }
+    }
+
+    function changed(terms) {
+        matchers = null;
+        scheduleSave();
+        onChange(terms);
+    }
+
+    function compile() {
+        if (matchers) return matchers;
+        matchers = [...entries]
+            .filter(entry => entry.term)
+            .sort((a, b) => b.term.length - a.term.length)
+            .map(entry => {
+                const body = escapeRegex(entry.term);
+                const source = entry.wholeWord ? `(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})` : body;
+                return { entry, regex: new RegExp(source, entry.caseSensitive ? 'gu' : 'giu') };
+            });
+        return matchers;
+    }
+
+    function appliesTo(entry, sources, to) {
+        const fromMatches = entry.from === '*' || sources.includes(entry.from);
+        const toMatches = entry.to === '*' || entry.to === to;
+        return fromMatches && toMatches;
+    }
+
+    // Glossary hits in `text`, as spans for placeholders.shield().
+    // `from` may be a list (e.g. ['auto', 'ru'] when the source was detected).
+    function findSpans(text, from, to) {
+        const sources = Array.isArray(from) ? from : [from];
+        const spans = [];
+
+        for (const { entry, regex } of compile()) {
+            if (!appliesTo(entry, sources, to)) continue;
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                spans.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    replacement: entry.translation || match[0],
+                    kind: 'glossary',
+                    entryId: entry.id
+                });
+            }
+        }
+
+        return spans;
+    }
+
+    function list({ query = '' } = {}) {
+        const needle = query.toLowerCase();
+        return entries.filter(entry => !needle ||
+            entry.term.toLowerCase().includes(needle) ||
+            entry.translation.toLowerCase().includes(needle) ||
+            entry.note.toLowerCase().includes(needle));
+    }
+
+    function add(item) {
+        const entry = { id: crypto.randomUUID(), ...normalizeEntry(item) };
+        if (!entry.term) {
+            throw new Error('Glossary term is empty');
+        }
+        entries.unshift(entry);
+        changed([entry.term]);
+        return entry;
+    }
+
+    function update(id, changes) {
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1) return null;
+        const previous = entries[index];
+        entries[index] = { id, ...normalizeEntry({ ...previous, ...changes }) };
+        changed([previous.term, entries[index].term]);
+        return entries[index];
+    }
+
+    function remove(id) {
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1) return false;
+        const [removed] = entries.splice(index, 1);
+        changed([removed.term]);
+        return true;
+    }
+
+    // Rows matching an existing (term, from, to) replace it; the rest are appended
+    function importCsv(importPath) {
+        const rows = parseCsv(fs.readFileSync(importPath, 'utf8'));
+        if (rows.length === 0) return { added: 0, updated: 0 };
+
+        const header = rows[0].map(cell => cell.trim());
+        const hasHeader = header.includes('term');
+        const columns = hasHeader ? header : CSV_COLUMNS;
+        let added = 0;
+        let updated = 0;
+        const terms = [];
+
+        for (const row of rows.slice(hasHeader ? 1 : 0)) {
+            const item = normalizeEntry(Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+            if (!item.term) continue;
+
+            const existing = entries.find(e => e.term === item.term && e.from === item.from && e.to === item.to);
+            if (existing) {
+                Object.assign(existing, item);
+                updated++;
+            } else {
+                entries.push({ id: crypto.randomUUID(), ...item });
+                added++;
+            }
+            terms.push(item.term);
+        }
+
+        changed(terms);
+        return { added, updated };
+    }
+
+    function exportTo(exportPath) {
+        fs.writeFileSync(exportPath, '\ufeff' + toCsv(entries, CSV_COLUMNS));
+        return entries.length;
+    }
+
+    return { findSpans, list, add, update, remove, importCsv, exportTo, flush };
+}
+
+module.exports = { createGlossary };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Translation history, persisted as JSON in userData
+//
+// Newest entries first. Pinned entries are never evicted by the size limit
+// or by "clear history" unless explicitly requested.
+
+const SAVE_DEBOUNCE = 1000;
+const CSV_COLUMNS = ['timestamp', 'mode', 'from', 'to', 'detectedLang', 'service', 'pinned', 'source', 'translation'];
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    return lines.join('\r\n');
+}
+
+function createHistoryStore({ filePath, maxEntries = 2000 }) {
+    let entries = [];
+    let saveTimer = null;
+
+    try {
+        if (fs.existsSync(filePath)) {
+            entries = JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || [];
+        }
+    } catch (error) {
+        console.error('Failed to load translation history:', error.message);
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            flush();
+        }, SAVE_DEBOUNCE);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries }));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            console.error('Failed to save translation history:', error.message);
+        }
+    }
+
+    // Drop the oldest unpinned entries above the limit
+    function trim() {
+        let excess = entries.length - maxEntries;
+        for (let i = entries.length - 1; i >= 0 && excess > 0; i--) {
+            if (!entries[i].pinned) {
+                entries.splice(i, 1);
+                excess--;
+            }
+        }
+    }
+
+    function add(item) {
+        const latest = entries[0];
+
+        // Same text re-translated to the same target just refreshes the newest entry
+        if (latest && latest.source === item.source && latest.to === item.to && latest.translation === item.translation) {
+            latest.timestamp = Date.now();
+            scheduleSave();
+            return latest;
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            source: item.source,
+            translation: item.translation,
+            from: item.from || 'auto',
+            to: item.to,
+            detectedLang: item.detectedLang || null,
+            service: item.service || null,
+            provider: item.provider || null,
+            mode: item.mode || 'read',
+            timestamp: Date.now(),
+            pinned: false
+        };
+
+        entries.unshift(entry);
+        trim();
+        scheduleSave();
+        return entry;
+    }
+
+    function list({ query = '', pinnedOnly = false, limit = 200 } = {}) {
+        const needle = query.toLowerCase();
+        return entries
+            .filter(entry => !pinnedOnly || entry.pinned)
+            .filter(entry => !needle ||
+                entry.source.toLowerCase().includes(needle) ||
+                entry.translation.toLowerCase().includes(needle))
+            .slice(0, limit);
+    }
+
+    function update(id, changes) {
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return null;
+        if (typeof changes.pinned === 'boolean') entry.pinned = changes.pinned;
+        scheduleSave();
+        return entry;
+    }
+
+    function remove(id) {
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1) return false;
+        entries.splice(index, 1);
+        scheduleSave();
+        return true;
+    }
+
+    function clear({ keepPinned = true } = {}) {
+        const before = entries.length;
+        entries = keepPinned ? entries.filter(e => e.pinned) : [];
+        flush();
+        return before - entries.length;
+    }
+
+    // format: 'json' | 'csv'
+    function exportTo(exportPath, format, options) {
+        const rows = list({ ...options, limit: Infinity }).map(entry => ({
+            ...entry,
+            timestamp: new Date(entry.timestamp).toISOString()
+        }));
+        // BOM so Excel opens Cyrillic/CJK text as UTF-8
+        const content = format === 'csv'
+            ? '\ufeff' + toCsv(rows, CSV_COLUMNS)
+            : JSON.stringify(rows, null, 2);
+        fs.writeFileSync(exportPath, content);
+        return rows.length;
+    }
+
+    return { add, list, update, remove, clear, exportTo, flush };
+}
+
+module.exports = { createHistoryStore, toCsv };
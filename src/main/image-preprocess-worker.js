@@ -0,0 +1,7 @@
+const { parentPort, workerData } = require('worker_threads');
+const { processBitmap } = require('./image-preprocess');
+
+// Worker thread for the per-pixel preprocessing steps (see image-preprocess.js)
+
+const result = processBitmap(workerData.input, workerData.steps);
+parentPort.postMessage(result, [result.bitmap.buffer]);
@@ -0,0 +1,334 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Image preprocessing before OCR
+//
+// Telegram screenshots are often light text on a dark background, small and
+// JPEG-compressed, which Tesseract handles poorly. Each step here is optional
+// and works on a single-channel grayscale plane { width, height, data }.
+// Steps always run in the same order: upscale, grayscale, contrast (with
+// auto-invert for dark themes), denoise, deskew, binarize.
+//
+// Decoding, upscaling and encoding are left to nativeImage in the main
+// process; the per-pixel steps take seconds on large screenshots, so they run
+// on a worker thread (image-preprocess-worker.js) and never block the windows.
+
+const STEPS = ['upscale', 'grayscale', 'contrast', 'denoise', 'deskew', 'binarize'];
+const MAX_UPSCALED_PIXELS = 12 * 1000 * 1000;
+const UPSCALE_FACTOR = 2;
+const DARK_MEAN = 110;           // Mean luminance below which the image is treated as dark mode
+const MAX_SKEW = 10;             // Degrees searched either way when deskewing
+const MIN_SKEW = 0.3;            // Smaller angles are left alone
+const SKEW_SAMPLE_WIDTH = 800;   // Skew is estimated on a downscaled copy
+const THRESHOLD_WINDOW = 1 / 16; // Adaptive threshold window, as a fraction of the width
+const THRESHOLD_OFFSET = 0.15;   // A pixel is dark if this much darker than its window's mean
+
+function createPlane(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height) };
+}
+
+// BGRA bitmap (nativeImage.toBitmap) -> grayscale plane
+function fromBitmap(bitmap, width, height) {
+    const plane = createPlane(width, height);
+    for (let i = 0; i < width * height; i++) {
+        const b = bitmap[i * 4];
+        const g = bitmap[i * 4 + 1];
+        const r = bitmap[i * 4 + 2];
+        plane.data[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    return plane;
+}
+
+function toBitmap(plane) {
+    const bitmap = new Uint8Array(plane.width * plane.height * 4);
+    for (let i = 0; i < plane.data.length; i++) {
+        const value = plane.data[i];
+        bitmap[i * 4] = value;
+        bitmap[i * 4 + 1] = value;
+        bitmap[i * 4 + 2] = value;
+        bitmap[i * 4 + 3] = 255;
+    }
+    return bitmap;
+}
+
+function histogram(plane) {
+    const counts = new Array(256).fill(0);
+    for (const value of plane.data) counts[value]++;
+    return counts;
+}
+
+// Dark themes become dark text on light, which is what Tesseract is trained on
+function invertIfDark(plane) {
+    let sum = 0;
+    for (const value of plane.data) sum += value;
+    if (sum / plane.data.length >= DARK_MEAN) return false;
+
+    for (let i = 0; i < plane.data.length; i++) {
+        plane.data[i] = 255 - plane.data[i];
+    }
+    return true;
+}
+
+// Stretch the 1st..99th percentile to the full range
+function stretchContrast(plane) {
+    const counts = histogram(plane);
+    const total = plane.data.length;
+    let low = 0;
+    let high = 255;
+    for (let seen = 0; low < 255 && seen + counts[low] <= total * 0.01; low++) seen += counts[low];
+    for (let seen = 0; high > 0 && seen + counts[high] <= total * 0.01; high--) seen += counts[high];
+    if (high - low < 16) return;
+
+    const scale = 255 / (high - low);
+    for (let i = 0; i < plane.data.length; i++) {
+        plane.data[i] = (plane.data[i] - low) * scale;
+    }
+}
+
+// Exchange network that leaves the median of nine values in slot 4
+// (Devillard's opt_med9), far cheaper than sorting every window
+const MEDIAN9_NETWORK = [
+    1, 2, 4, 5, 7, 8, 0, 1, 3, 4, 6, 7, 1, 2, 4, 5, 7, 8,
+    0, 3, 5, 8, 4, 7, 3, 6, 1, 4, 2, 5, 4, 7, 4, 2, 6, 4, 4, 2
+];
+
+function median9(window) {
+    for (let i = 0; i < MEDIAN9_NETWORK.length; i += 2) {
+        const a = MEDIAN9_NETWORK[i];
+        const b = MEDIAN9_NETWORK[i + 1];
+        if (window[a] > window[b]) {
+            const swap = window[a];
+            window[a] = window[b];
+            window[b] = swap;
+        }
+    }
+    return window[4];
+}
+
+// 3x3 median; removes JPEG speckle without blurring stroke edges much
+function medianDenoise(plane) {
+    const { width, height, data } = plane;
+    const result = new Uint8ClampedArray(data);
+    const window = new Uint8Array(9);
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            let n = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    window[n++] = data[(y + dy) * width + x + dx];
+                }
+            }
+            result[y * width + x] = median9(window);
+        }
+    }
+    plane.data = result;
+}
+
+// Bradley-Roth adaptive threshold using an integral image, so uneven
+// backgrounds (bubbles, gradients) don't swallow text
+function adaptiveThreshold(plane) {
+    const { width, height, data } = plane;
+    const integral = new Float64Array((width + 1) * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += data[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    const half = Math.max(4, Math.round(width * THRESHOLD_WINDOW / 2));
+    const result = new Uint8ClampedArray(data.length);
+    for (let y = 0; y < height; y++) {
+        const y1 = Math.max(0, y - half);
+        const y2 = Math.min(height - 1, y + half);
+        for (let x = 0; x < width; x++) {
+            const x1 = Math.max(0, x - half);
+            const x2 = Math.min(width - 1, x + half);
+            const count = (x2 - x1 + 1) * (y2 - y1 + 1);
+            const sum = integral[(y2 + 1) * (width + 1) + x2 + 1]
+                - integral[y1 * (width + 1) + x2 + 1]
+                - integral[(y2 + 1) * (width + 1) + x1]
+                + integral[y1 * (width + 1) + x1];
+            result[y * width + x] = data[y * width + x] * count <= sum * (1 - THRESHOLD_OFFSET) ? 0 : 255;
+        }
+    }
+    plane.data = result;
+}
+
+// Nearest-neighbour downscale, only used for analysis
+function downscale(plane, maxWidth) {
+    if (plane.width <= maxWidth) return plane;
+    const scale = maxWidth / plane.width;
+    const small = createPlane(maxWidth, Math.max(1, Math.round(plane.height * scale)));
+    for (let y = 0; y < small.height; y++) {
+        const sy = Math.min(plane.height - 1, Math.floor(y / scale));
+        for (let x = 0; x < small.width; x++) {
+            small.data[y * small.width + x] = plane.data[sy * plane.width + Math.floor(x / scale)];
+        }
+    }
+    return small;
+}
+
+// Text lines line up with rows at the right angle, which makes the
+// dark-pixel row profile peaky (largest sum of squared row counts)
+function profileScore(points, angle) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Map();
+    for (let i = 0; i < points.length; i += 2) {
+        const row = Math.round(points[i + 1] * cos - points[i] * sin);
+        rows.set(row, (rows.get(row) || 0) + 1);
+    }
+
+    let score = 0;
+    for (const count of rows.values()) score += count * count;
+    return score;
+}
+
+// Skew angle in degrees, as undone by rotate(); 0 if the text is level
+function estimateSkew(plane) {
+    const sample = downscale(plane, SKEW_SAMPLE_WIDTH);
+    const thresholded = { ...sample, data: new Uint8ClampedArray(sample.data) };
+    adaptiveThreshold(thresholded);
+
+    const points = [];
+    for (let y = 0; y < thresholded.height; y++) {
+        for (let x = 0; x < thresholded.width; x++) {
+            if (thresholded.data[y * thresholded.width + x] === 0) points.push(x, y);
+        }
+    }
+    if (points.length < 200) return 0;
+
+    const search = (from, to, step, best) => {
+        for (let angle = from; angle <= to + 1e-9; angle += step) {
+            const score = profileScore(points, angle);
+            if (score > best.score) best = { angle, score };
+        }
+        return best;
+    };
+
+    const coarse = search(-MAX_SKEW, MAX_SKEW, 0.5, { angle: 0, score: profileScore(points, 0) });
+    const fine = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.1, coarse);
+    const angle = Math.round(fine.angle * 10) / 10;
+    return Math.abs(angle) < MIN_SKEW ? 0 : angle;
+}
+
+// Rotate by `-angle` degrees (undoing the skew) onto a white canvas large enough for the result
+function rotate(plane, angle) {
+    const radians = -angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const { width, height, data } = plane;
+    const newWidth = Math.ceil(Math.abs(width * cos) + Math.abs(height * sin));
+    const newHeight = Math.ceil(Math.abs(width * sin) + Math.abs(height * cos));
+    const result = createPlane(newWidth, newHeight);
+    result.data.fill(255);
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const ncx = newWidth / 2;
+    const ncy = newHeight / 2;
+    for (let y = 0; y < newHeight; y++) {
+        for (let x = 0; x < newWidth; x++) {
+            // Inverse mapping with bilinear sampling
+            const dx = x - ncx;
+            const dy = y - ncy;
+            const sx = dx * cos + dy * sin + cx;
+            const sy = -dx * sin + dy * cos + cy;
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) continue;
+            const fx = sx - x0;
+            const fy = sy - y0;
+            const i = y0 * width + x0;
+            const top = data[i] * (1 - fx) + data[i + 1] * fx;
+            const bottom = data[i + width] * (1 - fx) + data[i + width + 1] * fx;
+            result.data[y * newWidth + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+    return result;
+}
+
+// Grayscale and the selected pixel steps on a BGRA bitmap (upscaling is done
+// before, by nativeImage); returns a BGRA bitmap and what was done
+function processBitmap({ bitmap, width, height }, steps = {}) {
+    const applied = ['grayscale'];
+    let skewAngle = 0;
+    let inverted = false;
+    let plane = fromBitmap(bitmap, width, height);
+
+    if (steps.contrast) {
+        inverted = invertIfDark(plane);
+        stretchContrast(plane);
+        applied.push(inverted ? 'contrast (inverted)' : 'contrast');
+    }
+
+    if (steps.denoise) {
+        medianDenoise(plane);
+        applied.push('denoise');
+    }
+
+    if (steps.deskew) {
+        skewAngle = estimateSkew(plane);
+        if (skewAngle !== 0) {
+            plane = rotate(plane, skewAngle);
+            applied.push(`deskew ${skewAngle}°`);
+        }
+    }
+
+    if (steps.binarize) {
+        adaptiveThreshold(plane);
+        applied.push('binarize');
+    }
+
+    return { bitmap: toBitmap(plane), width: plane.width, height: plane.height, applied, skewAngle, inverted };
+}
+
+// processBitmap on a worker thread; the bitmap is transferred, not copied
+function processBitmapInWorker(input, steps) {
+    return new Promise((resolve, reject) => {
+        const bitmap = new Uint8Array(input.bitmap);
+        // Worker threads can't load scripts from inside app.asar; both files are unpacked next to it
+        const script = path.join(__dirname, 'image-preprocess-worker.js').replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+        const worker = new Worker(script, {
+            workerData: { input: { ...input, bitmap }, steps },
+            transferList: [bitmap.buffer]
+        });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) reject(new Error(`Preprocessing worker stopped with exit code ${code}`));
+        });
+    });
+}
+
+// Size to upscale an image to, or null when it's already large enough
+function upscaleSize(width, height) {
+    const factor = Math.min(UPSCALE_FACTOR, Math.sqrt(MAX_UPSCALED_PIXELS / (width * height)));
+    return factor > 1.2 ? { width: Math.round(width * factor), height: Math.round(height * factor) } : null;
+}
+
+// Whether any step needs the pixel work (upscale alone doesn't)
+function needsPixelSteps(steps = {}) {
+    return ['grayscale', 'contrast', 'denoise', 'deskew', 'binarize'].some(step => steps[step]);
+}
+
+module.exports = {
+    processBitmap,
+    processBitmapInWorker,
+    needsPixelSteps,
+    upscaleSize,
+    fromBitmap,
+    toBitmap,
+    invertIfDark,
+    stretchContrast,
+    medianDenoise,
+    adaptiveThreshold,
+    estimateSkew,
+    rotate,
+    STEPS
+};
@@ -0,0 +1,409 @@
+// Offline language detection
+//
+// Two passes:
+//   1. Script detection by Unicode range. Scripts used by a single language
+//      (Hangul, Kana, Greek, Thai, ...) decide the language outright.
+//   2. For shared scripts (Latin, Cyrillic, Arabic, Devanagari, Han) every
+//      candidate language is scored on distinctive letters, character n-grams
+//      and common short words, then normalized into a confidence.
+//
+// Mixed-script text (a Russian post quoting English) yields candidates from
+// each script weighted by how much of the text it covers.
+//
+// Language codes match the ones used by the translation providers
+// ('zh-CN', 'zh-TW', 'ru', 'uk', ...).
+
+const SCRIPTS = [
+    { id: 'latin', pattern: /[a-zA-Z\u00c0-\u024f\u1e00-\u1eff]/ },
+    { id: 'cyrillic', pattern: /[\u0400-\u052f]/ },
+    { id: 'greek', pattern: /[\u0370-\u03ff]/, lang: 'el' },
+    { id: 'armenian', pattern: /[\u0530-\u058f]/, lang: 'hy' },
+    { id: 'hebrew', pattern: /[\u0590-\u05ff]/, lang: 'he' },
+    { id: 'arabic', pattern: /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufeff]/ },
+    { id: 'devanagari', pattern: /[\u0900-\u097f]/ },
+    { id: 'bengali', pattern: /[\u0980-\u09ff]/, lang: 'bn' },
+    { id: 'gurmukhi', pattern: /[\u0a00-\u0a7f]/, lang: 'pa' },
+    { id: 'gujarati', pattern: /[\u0a80-\u0aff]/, lang: 'gu' },
+    { id: 'tamil', pattern: /[\u0b80-\u0bff]/, lang: 'ta' },
+    { id: 'telugu', pattern: /[\u0c00-\u0c7f]/, lang: 'te' },
+    { id: 'kannada', pattern: /[\u0c80-\u0cff]/, lang: 'kn' },
+    { id: 'malayalam', pattern: /[\u0d00-\u0d7f]/, lang: 'ml' },
+    { id: 'thai', pattern: /[\u0e00-\u0e7f]/, lang: 'th' },
+    { id: 'lao', pattern: /[\u0e80-\u0eff]/, lang: 'lo' },
+    { id: 'georgian', pattern: /[\u10a0-\u10ff]/, lang: 'ka' },
+    { id: 'khmer', pattern: /[\u1780-\u17ff]/, lang: 'km' },
+    { id: 'myanmar', pattern: /[\u1000-\u109f]/, lang: 'my' },
+    { id: 'ethiopic', pattern: /[\u1200-\u137f]/, lang: 'am' },
+    { id: 'hangul', pattern: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/, lang: 'ko' },
+    { id: 'kana', pattern: /[\u3040-\u30ff\u31f0-\u31ff]/, lang: 'ja' },
+    { id: 'han', pattern: /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/ }
+];
+
+// Candidate languages for shared scripts
+//   prior   - how likely the language is with no other evidence (our traffic is mostly ru/zh/en)
+//   letters - characters (mostly) unique to the language within its script
+//   excludes - characters the language's alphabet does not have (evidence against it)
+//   ngrams  - frequent character sequences
+//   words   - common short words
+const PROFILES = {
+    cyrillic: {
+        ru: {
+            prior: 1.0,
+            letters: 'ыэъё',
+            excludes: 'іїєґўђћјљњѓќѕ',
+            ngrams: ['ого', 'ого ', 'что', 'ени', 'ост', 'ств', 'ать', 'ся ', 'ешь', 'ый ', 'ий '],
+            words: ['и', 'в', 'не', 'на', 'что', 'я', 'с', 'он', 'как', 'это', 'по', 'но', 'из', 'у', 'за', 'так', 'же',
+                'от', 'все', 'она', 'для', 'мы', 'вы', 'есть', 'был', 'только', 'если', 'уже', 'или', 'ещё', 'еще',
+                'когда', 'кто', 'бы', 'чтобы', 'тоже', 'меня', 'нет', 'его', 'их', 'очень', 'может', 'надо']
+        },
+        uk: {
+            prior: 0.3,
+            letters: 'іїєґ',
+            excludes: 'ыэъёўђћ',
+            ngrams: ['ння', 'ськ', 'ого', 'ати', 'ють', 'цьк', 'ій ', 'ії', 'що '],
+            words: ['і', 'й', 'в', 'не', 'на', 'що', 'я', 'з', 'він', 'як', 'це', 'та', 'але', 'до', 'від', 'для', 'ми',
+                'ви', 'є', 'був', 'тільки', 'якщо', 'вже', 'або', 'ще', 'коли', 'хто', 'б', 'щоб', 'теж', 'мене',
+                'ні', 'також', 'його', 'її', 'цей', 'дуже', 'можна', 'треба', 'немає']
+        },
+        be: {
+            prior: 0.1,
+            letters: 'ўі',
+            excludes: 'ищъїєґђћ',
+            ngrams: ['ння', 'цца', 'ага', 'дзе', 'ыя ', 'эта', 'шч'],
+            words: ['і', 'у', 'ў', 'не', 'на', 'што', 'я', 'з', 'ён', 'як', 'гэта', 'але', 'да', 'ад', 'для', 'мы',
+                'вы', 'ёсць', 'быў', 'толькі', 'калі', 'ужо', 'або', 'яшчэ', 'хто', 'каб', 'таксама', 'вельмі', 'няма']
+        },
+        kk: {
+            prior: 0.1,
+            letters: 'әғқңөұүһ',
+            ngrams: ['ның', 'нің', 'дың', 'лар', 'лер', 'ған', 'ген', 'қа ', 'мен'],
+            words: ['және', 'бұл', 'мен', 'да', 'де', 'бар', 'жоқ', 'үшін', 'деп', 'осы', 'ол', 'біз', 'сіз', 'қалай',
+                'емес', 'еді', 'болады', 'керек', 'тағы', 'бір', 'сол', 'қазір', 'өте']
+        },
+        bg: {
+            prior: 0.1,
+            letters: '',
+            excludes: 'ыэёіїєґўђћ',
+            ngrams: ['ът', 'ъл', 'ите', 'ата', 'ото', 'ния', 'ще '],
+            words: ['и', 'в', 'не', 'на', 'че', 'аз', 'с', 'той', 'как', 'това', 'да', 'за', 'от', 'се', 'са', 'е',
+                'но', 'по', 'към', 'ще', 'има', 'няма', 'който', 'които', 'още', 'беше', 'тук', 'сега', 'много']
+        },
+        sr: {
+            prior: 0.05,
+            letters: 'ђћ',
+            ngrams: ['ње', 'ља', 'ти ', 'ије'],
+            words: ['и', 'у', 'не', 'на', 'да', 'је', 'се', 'са', 'за', 'од', 'што', 'као', 'али', 'то', 'су', 'из',
+                'ће', 'био', 'сам', 'смо', 'јер', 'који', 'нема']
+        },
+        mk: {
+            prior: 0.05,
+            letters: 'ѓќѕ',
+            ngrams: ['ање', 'ата', 'ите', 'дека'],
+            words: ['и', 'во', 'не', 'на', 'дека', 'јас', 'со', 'тој', 'како', 'ова', 'да', 'за', 'од', 'се', 'е',
+                'но', 'по', 'ќе', 'има', 'нема', 'што', 'сега']
+        },
+        mn: {
+            prior: 0.05,
+            letters: '',
+            ngrams: ['ийн', 'ын ', 'ний', 'лэх', 'айна', 'гүй'],
+            words: ['ба', 'нь', 'энэ', 'тэр', 'бол', 'байна', 'гэж', 'юм', 'байгаа', 'биш', 'бид', 'та', 'би']
+        }
+    },
+    latin: {
+        en: {
+            prior: 1.0,
+            letters: '',
+            ngrams: ['th', 'the', 'ing', 'and', 'wh', 'tion', 'ght', 'ou'],
+            words: ['the', 'and', 'to', 'of', 'a', 'in', 'is', 'it', 'you', 'that', 'for', 'on', 'with', 'this',
+                'are', 'be', 'have', 'not', 'was', 'but', 'they', 'we', 'what', 'can', 'will', 'my', 'just', 'if']
+        },
+        de: {
+            prior: 0.2,
+            letters: 'ß',
+            ngrams: ['sch', 'ich', 'ein', 'der', 'und', 'ung', 'cht', 'ä', 'ö', 'ü'],
+            words: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'es', 'sie', 'wir', 'ein', 'eine', 'zu',
+                'mit', 'auf', 'für', 'von', 'den', 'auch', 'sich', 'wie', 'aber', 'noch', 'nur', 'oder', 'kann']
+        },
+        fr: {
+            prior: 0.2,
+            letters: 'œ',
+            ngrams: ['é', 'è', 'ê', 'ç', 'eau', 'qu', 'ent ', 'ais', 'oi', "l'", "d'"],
+            words: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'je', 'tu', 'il', 'nous', 'vous', 'que',
+                'qui', 'pas', 'pour', 'dans', 'sur', 'avec', 'ce', 'mais', 'ou', 'du', 'au', 'sont', 'très']
+        },
+        es: {
+            prior: 0.2,
+            letters: 'ñ¿¡',
+            ngrams: ['ción', 'que', 'ado', 'os ', 'as ', 'ía', 'ué'],
+            words: ['el', 'la', 'los', 'las', 'de', 'y', 'que', 'es', 'un', 'una', 'en', 'por', 'para', 'con', 'no',
+                'se', 'lo', 'del', 'pero', 'como', 'muy', 'yo', 'tu', 'está', 'son', 'hay', 'también']
+        },
+        pt: {
+            prior: 0.2,
+            letters: 'ãõ',
+            ngrams: ['ção', 'ões', 'nh', 'lh', 'ão', 'ar ', 'os '],
+            words: ['o', 'a', 'os', 'as', 'de', 'e', 'que', 'é', 'um', 'uma', 'em', 'por', 'para', 'com', 'não',
+                'se', 'do', 'da', 'mas', 'como', 'muito', 'eu', 'você', 'está', 'são', 'tem', 'também']
+        },
+        it: {
+            prior: 0.1,
+            letters: '',
+            ngrams: ['zione', 'gli', 'che', 'cch', 'ere', 'ità', 'ò'],
+            words: ['il', 'lo', 'la', 'gli', 'le', 'di', 'e', 'che', 'è', 'un', 'una', 'in', 'per', 'con', 'non',
+                'si', 'del', 'della', 'ma', 'come', 'molto', 'io', 'sono', 'anche', 'questo']
+        },
+        nl: {
+            prior: 0.1,
+            letters: '',
+            ngrams: ['ij', 'oo', 'ee', 'aa', 'sch', 'cht', 'en '],
+            words: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'ik', 'je', 'dat', 'die', 'op', 'te', 'met',
+                'voor', 'zijn', 'maar', 'ook', 'wat', 'er', 'wij', 'jij', 'heb', 'nog']
+        },
+        pl: {
+            prior: 0.1,
+            letters: 'ąęłśżźćń',
+            ngrams: ['sz', 'cz', 'rz', 'ie', 'ów', 'ię', 'ać'],
+            words: ['i', 'w', 'nie', 'na', 'się', 'z', 'że', 'to', 'jest', 'do', 'jak', 'ale', 'co', 'tak', 'czy',
+                'od', 'po', 'za', 'jestem', 'mnie', 'już', 'tylko', 'bardzo']
+        },
+        cs: {
+            prior: 0.05,
+            letters: 'ěřů',
+            ngrams: ['ch', 'ní', 'ost', 'ství', 'je '],
+            words: ['a', 'v', 'ne', 'na', 'se', 'je', 'to', 'že', 's', 'z', 'do', 'jak', 'ale', 'co', 'tak', 'jsem',
+                'jsou', 'pro', 'by', 'už', 'jen', 'také', 'velmi']
+        },
+        ro: {
+            prior: 0.05,
+            letters: 'ășțş',
+            ngrams: ['ul ', 'lui', 'rea', 'ție', 'ă '],
+            words: ['și', 'în', 'nu', 'pe', 'la', 'cu', 'de', 'un', 'o', 'este', 'sunt', 'care', 'că', 'mai', 'ce',
+                'pentru', 'din', 'dar', 'foarte', 'sau']
+        },
+        tr: {
+            prior: 0.1,
+            letters: 'ğış',
+            ngrams: ['lar', 'ler', 'yor', 'bir', 'ın', 'in ', 'ç', 'ö', 'ü'],
+            words: ['ve', 'bir', 'bu', 'da', 'de', 'ne', 'için', 'ile', 'çok', 'ama', 'gibi', 'daha', 'var', 'yok',
+                'ben', 'sen', 'o', 'biz', 'siz', 'mi', 'değil', 'olarak', 'kadar']
+        },
+        vi: {
+            prior: 0.1,
+            letters: 'ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ',
+            ngrams: ['ng ', 'nh', 'ư', 'ơ'],
+            words: ['và', 'của', 'là', 'có', 'không', 'được', 'cho', 'một', 'người', 'này', 'với', 'các', 'những',
+                'trong', 'đã', 'để', 'tôi', 'bạn', 'khi', 'thì']
+        },
+        id: {
+            prior: 0.1,
+            letters: '',
+            ngrams: ['ng', 'ny', 'kan', 'ang', 'an ', 'ah '],
+            words: ['dan', 'yang', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'ada', 'dari', 'saya', 'kami',
+                'akan', 'juga', 'atau', 'bisa', 'sudah', 'apa', 'kita', 'mereka']
+        },
+        sv: {
+            prior: 0.05,
+            letters: 'å',
+            ngrams: ['och', 'sk', 'ä', 'ö', 'att'],
+            words: ['och', 'i', 'att', 'det', 'som', 'en', 'är', 'på', 'för', 'med', 'inte', 'jag', 'du', 'har',
+                'till', 'av', 'men', 'om', 'vi', 'de', 'så']
+        },
+        uz: {
+            prior: 0.05,
+            letters: 'ʻʼ',
+            ngrams: ["o'", "g'", 'sh', 'ch', 'lar', 'da '],
+            words: ['va', 'bu', 'bilan', 'uchun', 'ham', 'emas', 'bor', 'yoʻq', "yo'q", 'men', 'biz', 'siz', 'u',
+                'lekin', 'qanday', 'kerak']
+        }
+    },
+    arabic: {
+        ar: {
+            prior: 1.0,
+            letters: 'ةىكيإأآ',
+            ngrams: ['ال', 'في ', 'من ', 'على'],
+            words: ['في', 'من', 'على', 'إلى', 'الى', 'عن', 'أن', 'ان', 'هذا', 'هذه', 'التي', 'الذي', 'كان', 'ما',
+                'لا', 'مع', 'هو', 'هي', 'قد', 'كل', 'بعد', 'أو']
+        },
+        fa: {
+            prior: 0.5,
+            letters: 'پچژگکی',
+            ngrams: ['های', 'ها ', 'ی ', 'است'],
+            words: ['و', 'در', 'به', 'از', 'که', 'این', 'را', 'با', 'است', 'برای', 'آن', 'یک', 'می', 'هم', 'تا',
+                'شد', 'بود', 'ما', 'شما', 'نیست', 'هست']
+        },
+        ur: {
+            prior: 0.2,
+            letters: 'ٹڈڑںےۓھ',
+            ngrams: ['ہے', 'کے ', 'میں'],
+            words: ['ہے', 'کے', 'میں', 'کی', 'اور', 'کا', 'کو', 'سے', 'یہ', 'وہ', 'نہیں', 'ہیں', 'بھی', 'پر']
+        },
+        ps: {
+            prior: 0.05,
+            letters: 'ټډړږښګڼۍې',
+            ngrams: ['په ', 'ته '],
+            words: ['او', 'په', 'د', 'چې', 'ته', 'دا', 'هم', 'نه', 'کې', 'سره', 'دی']
+        }
+    },
+    devanagari: {
+        hi: {
+            prior: 1.0,
+            letters: '',
+            ngrams: ['है', 'में', 'ों '],
+            words: ['है', 'के', 'में', 'की', 'और', 'का', 'को', 'से', 'यह', 'वह', 'नहीं', 'हैं', 'भी', 'पर', 'था',
+                'हम', 'आप', 'क्या']
+        },
+        mr: {
+            prior: 0.1,
+            letters: 'ळ',
+            ngrams: ['आहे', 'च्या'],
+            words: ['आहे', 'आणि', 'या', 'ते', 'हे', 'की', 'आम्ही', 'तुम्ही', 'नाही', 'होते', 'पण', 'मी']
+        },
+        ne: {
+            prior: 0.1,
+            letters: '',
+            ngrams: ['छ ', 'को ', 'हरू'],
+            words: ['छ', 'र', 'को', 'मा', 'हो', 'पनि', 'गर्न', 'छन्', 'थियो', 'हामी', 'तपाईं', 'यो', 'त्यो']
+        }
+    }
+};
+
+// Characters that only exist in one of the two Chinese standards
+const SIMPLIFIED_ONLY = '们这个来说时国会对为过还没后里发动开关门问间让认与号钱买卖网马车东长见经业务实现应点话语学机电边头进样听写读书们亲爱师';
+const TRADITIONAL_ONLY = '們這個來說時國會對為過還沒後裡發動開關門問間讓認與號錢買賣網馬車東長見經業務實現應點話語學機電邊頭進樣聽寫讀書親愛師';
+
+// Strip tokens that say nothing about the language (URLs, handles, hashes, numbers)
+function cleanSample(text) {
+    return String(text || '')
+        .slice(0, 5000)
+        .replace(/https?:\/\/\S+|www\.\S+/gi, ' ')
+        .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, ' ')
+        .replace(/[@#][\w\u0400-\u04ff]+/g, ' ')
+        .replace(/\b[0-9a-f]{16,}\b/gi, ' ')
+        .replace(/\d+/g, ' ');
+}
+
+function countScripts(sample) {
+    const counts = {};
+    let total = 0;
+
+    for (const char of sample) {
+        for (const script of SCRIPTS) {
+            if (script.pattern.test(char)) {
+                counts[script.id] = (counts[script.id] || 0) + 1;
+                total++;
+                break;
+            }
+        }
+    }
+
+    return { counts, total };
+}
+
+// Score every candidate language of a script; returns { lang: probability }
+function scoreProfiles(profiles, sample) {
+    const lower = sample.toLowerCase();
+    const words = lower.split(/[^\p{L}\p{M}'ʼʻ]+/u).filter(Boolean);
+    const wordCounts = new Map();
+    for (const word of words) {
+        wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+    }
+
+    const scores = {};
+    let sum = 0;
+
+    for (const [lang, profile] of Object.entries(profiles)) {
+        let score = 0;
+
+        for (const letter of profile.letters) {
+            score += countOccurrences(lower, letter) * 2;
+        }
+        for (const letter of profile.excludes || '') {
+            score -= countOccurrences(lower, letter) * 2;
+        }
+        for (const ngram of profile.ngrams) {
+            score += countOccurrences(lower, ngram) * 0.5;
+        }
+        for (const word of profile.words) {
+            score += (wordCounts.get(word) || 0) * 1.5;
+        }
+
+        scores[lang] = Math.max(0, score) + profile.prior;
+        sum += scores[lang];
+    }
+
+    for (const lang of Object.keys(scores)) {
+        scores[lang] /= sum;
+    }
+    return scores;
+}
+
+function countOccurrences(haystack, needle) {
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        count++;
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return count;
+}
+
+function scoreChinese(sample) {
+    let simplified = 0;
+    let traditional = 0;
+    for (const char of sample) {
+        if (SIMPLIFIED_ONLY.includes(char)) simplified++;
+        else if (TRADITIONAL_ONLY.includes(char)) traditional++;
+    }
+    // Simplified is far more common in our sources, so it wins ties
+    const total = simplified + traditional + 1.5;
+    return {
+        'zh-CN': (simplified + 1) / total,
+        'zh-TW': (traditional + 0.5) / total
+    };
+}
+
+// Returns ranked candidates: [{ lang, confidence }], best first ([] if nothing to go on)
+function detectLanguage(text, { limit = 3 } = {}) {
+    const sample = cleanSample(text);
+    const { counts, total } = countScripts(sample);
+    if (total === 0) return [];
+
+    // Short snippets are inherently ambiguous
+    const lengthFactor = Math.min(1, 0.4 + total / 50);
+    const candidates = new Map();
+    const add = (lang, confidence) => {
+        candidates.set(lang, (candidates.get(lang) || 0) + confidence);
+    };
+
+    // Kana inside Han text means Japanese, not Chinese
+    if (counts.kana && counts.han) {
+        counts.kana += counts.han;
+        delete counts.han;
+    }
+
+    for (const [scriptId, count] of Object.entries(counts)) {
+        const share = count / total;
+        const script = SCRIPTS.find(s => s.id === scriptId);
+
+        if (script.lang) {
+            add(script.lang, share);
+        } else if (scriptId === 'han') {
+            for (const [lang, p] of Object.entries(scoreChinese(sample))) add(lang, share * p);
+        } else {
+            for (const [lang, p] of Object.entries(scoreProfiles(PROFILES[scriptId], sample))) add(lang, share * p);
+        }
+    }
+
+    return [...candidates.entries()]
+        .map(([lang, confidence]) => ({ lang, confidence: Math.round(confidence * lengthFactor * 100) / 100 }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+}
+
+// Best single guess, or `fallback` when the text has no letters at all
+function detectPrimaryLanguage(text, fallback = 'en') {
+    const [best] = detectLanguage(text, { limit: 1 });
+    return best ? best.lang : fallback;
+}
+
+module.exports = { detectLanguage, detectPrimaryLanguage };
@@ -1,299 +1,168 @@
 const { app, BrowserWindow, Tray, Menu, globalShortcut, ipcMain, clipboard, nativeImage, screen, dialog, net } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 const Store = require('electron-store');
-const https = require('https');
-
-// Translation module - using dynamic import for ESM (fallback only)
-let googleTranslate = null;
-(async () => {
-    try {
-        const module = await import('@vitalets/google-translate-api');
-        googleTranslate = module.translate;
-        console.log('Google Translate module loaded (fallback)');
-    } catch (error) {
-        console.error('Failed to load Google Translate module:', error);
-    }
-})();
-
-// Translation cache to avoid repeated API calls
-const translationCache = new Map();
-const MAX_CACHE_SIZE = 1000;
-
-// Multi-service translation configuration
-const TRANSLATION_SERVICES = {
-    // Lingva Translate - Open source Google Translate frontend (most reliable)
-    lingva: {
-        name: 'Lingva',
-        instances: [
-            'https://lingva.ml',
-            'https://translate.plausibility.cloud',
-            'https://lingva.garuber.dev'
-        ],
-        currentInstance: 0
-    },
-    // MyMemory - Free tier: 1000 words/day without API key
-    myMemory: {
-        name: 'MyMemory',
-        url: 'https://api.mymemory.translated.net/get'
-    }
-};
-
-// Enhanced rate limiting with exponential backoff
-const RATE_LIMIT = {
-    minDelay: 1000,              // Increased from 500ms to 1000ms
-    maxDelay: 3000,              // Increased from 1500ms to 3000ms
-    retryDelay: 5000,            // Increased from 3000ms to 5000ms
-    maxRetries: 2,
-    lastRequest: 0,
-    consecutiveErrors: 0,
-    cooldownUntil: 0,            // Timestamp when cooldown ends
-    cooldownDuration: 60000      // 1 minute cooldown after rate limit
-};
+const { resolveProviderConfigs, resolveProviderChain, describeProviders } = require('./providers');
+const { createTranslationCache } = require('./translation-cache');
+const { createTranslationMemory, sameValues } = require('./translation-memory');
+const { createHistoryStore, toCsv } = require('./history-store');
+const { createRateLimiter } = require('./rate-limiter');
+const { detectLanguage } = require('./language-detect');
+const { needsChunking, translateInChunks, byteLength } = require('./chunker');
+const { createGlossary } = require('./glossary');
+const { shield, restore, findMarkers } = require('./placeholders');
+const { findIocs, extractIocs } = require('../shared/ioc');
+const { toStixBundle } = require('./stix');
+const { createOcrService, toTextBlocks } = require('./ocr-service');
+const { processBitmapInWorker, needsPixelSteps, upscaleSize } = require('./image-preprocess');
+const { createChatProjectStore } = require('./chat-projects');
+const { packBatches, joinBatch, splitBatch } = require('./batch-translate');
+
+// Independent rate limit / circuit breaker state per provider (and per Lingva instance)
+const rateLimiter = createRateLimiter({}, () => scheduleProviderStatusUpdate());
 
 // Translation request queue to prevent concurrent requests
 const translationQueue = [];
 let isProcessingQueue = false;
 
-// Helper function for random delay
-function getRandomDelay() {
-    return Math.floor(Math.random() * (RATE_LIMIT.maxDelay - RATE_LIMIT.minDelay)) + RATE_LIMIT.minDelay;
-}
-
 // Helper function to wait
 function wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Helper function to check if we're in cooldown period
-function isInCooldown() {
-    return Date.now() < RATE_LIMIT.cooldownUntil;
+// Rate limit errors are reported differently by every provider
+function isRateLimitError(error) {
+    return Boolean(error.message && (
+        error.message.includes('Too Many Requests') ||
+        error.message.includes('429') ||
+        error.message.includes('rate limit') ||
+        error.message.includes('cooldown')
+    ));
 }
 
-// Helper function to enforce rate limiting with exponential backoff
-async function enforceRateLimit() {
-    // Check if in cooldown period
-    if (isInCooldown()) {
-        const remainingCooldown = Math.ceil((RATE_LIMIT.cooldownUntil - Date.now()) / 1000);
-        throw new Error(`Rate limit cooldown active. Please wait ${remainingCooldown} seconds.`);
-    }
-
-    const now = Date.now();
-    const timeSinceLastRequest = now - RATE_LIMIT.lastRequest;
-    
-    // Calculate delay with exponential backoff if there are consecutive errors
-    let delay = getRandomDelay();
-    if (RATE_LIMIT.consecutiveErrors > 0) {
-        // Exponential backoff: multiply delay by 2^consecutiveErrors
-        delay = Math.min(delay * Math.pow(2, RATE_LIMIT.consecutiveErrors), 10000);
-    }
-    
-    if (timeSinceLastRequest < delay) {
-        const waitTime = delay - timeSinceLastRequest;
-        console.log(`Rate limiting: waiting ${waitTime}ms before next request`);
-        await wait(waitTime);
-    }
-    
-    RATE_LIMIT.lastRequest = Date.now();
+function buildDetection(text, from) {
+    const candidates = from === 'auto' ? detectLanguage(text) : [];
+    return candidates.length > 0
+        ? { lang: candidates[0].lang, confidence: candidates[0].confidence, candidates }
+        : null;
 }
 
-// HTTP request helper using Node's https
-function httpRequest(url, options = {}) {
-    return new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const reqOptions = {
-            hostname: urlObj.hostname,
-            port: urlObj.port || 443,
-            path: urlObj.pathname + urlObj.search,
-            method: options.method || 'GET',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Accept': 'application/json',
-                ...options.headers
-            },
-            timeout: 10000
-        };
-
-        const req = https.request(reqOptions, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve({ status: res.statusCode, data: JSON.parse(data) });
-                } catch (e) {
-                    resolve({ status: res.statusCode, data: data });
-                }
-            });
-        });
+// The offline guess only stands in for the provider's own detection when it is
+// fairly sure; short Latin-script texts often aren't ("Bonjour" scores en 0.19)
+const DETECTION_MIN_CONFIDENCE = 0.3;
 
-        req.on('error', reject);
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('Request timeout'));
-        });
+function confidentLang(detection) {
+    return detection && detection.confidence >= DETECTION_MIN_CONFIDENCE ? detection.lang : null;
+}
 
-        if (options.body) {
-            req.write(options.body);
-        }
-        req.end();
-    });
+// Chunk size for long texts: whatever the first usable provider in the chain accepts
+function getChunkLimit() {
+    const chain = resolveProviderChain(store.get('providers'));
+    const preferred = chain.find(({ provider }) => rateLimiter.isAvailable(provider.id)) || chain[0];
+    return preferred ? preferred.provider.maxChunkBytes : 1000;
 }
 
-// Lingva Translate (Google Translate frontend - no rate limits)
-async function translateWithLingva(text, from, to) {
-    await enforceRateLimit(); // Apply rate limiting even for Lingva
-    
-    const service = TRANSLATION_SERVICES.lingva;
+// Main translation function - walks the enabled providers in the configured order,
+// skipping any whose circuit is open or that are cooling down after a rate limit
+async function translateText(text, from, to, { detectionText = text } = {}) {
+    const chain = resolveProviderChain(store.get('providers'));
+    if (chain.length === 0) {
+        throw new Error('No translation providers enabled');
+    }
+
+    // Offline detection drives the "Detected" badge and providers that need a source language
+    const detection = buildDetection(detectionText, from);
+    const textBytes = byteLength(text);
+
     let lastError = null;
+    let nextAvailable = Infinity;
+    let attempted = 0;
 
-    // Map language codes
-    const sourceLang = from === 'auto' ? 'auto' : from;
-    const targetLang = to === 'zh-CN' ? 'zh' : to;
+    for (const { provider, config } of chain) {
+        if (textBytes > provider.maxChunkBytes) {
+            console.log(`Skipping ${provider.name} (text too long for a single request)`);
+            continue;
+        }
 
-    // Try each instance
-    for (let i = 0; i < service.instances.length; i++) {
-        const instanceIndex = (service.currentInstance + i) % service.instances.length;
-        const baseUrl = service.instances[instanceIndex];
+        if (!rateLimiter.isAvailable(provider.id)) {
+            const remaining = rateLimiter.blockedFor(provider.id);
+            if (remaining > 0) nextAvailable = Math.min(nextAvailable, remaining);
+            console.log(`Skipping ${provider.name} (circuit open or cooling down)`);
+            continue;
+        }
 
         try {
-            // Lingva uses GET with URL path: /api/v1/{source}/{target}/{text}
-            const encodedText = encodeURIComponent(text);
-            const url = `${baseUrl}/api/v1/${sourceLang}/${targetLang}/${encodedText}`;
-
-            const response = await httpRequest(url);
-
-            if (response.status === 200 && response.data.translation) {
-                service.currentInstance = instanceIndex;
-                RATE_LIMIT.consecutiveErrors = 0; // Reset error counter on success
-                return {
-                    success: true,
-                    text: response.data.translation,
-                    service: 'Lingva',
-                    detectedLang: response.data.info?.detectedSource || null
-                };
-            }
+            await rateLimiter.acquire(provider.id);
+            attempted++;
+            console.log(`Trying ${provider.name}...`);
+            const result = await provider.translate(text, from, to, config, {
+                limiter: rateLimiter,
+                detectedLang: detection?.lang || null
+            });
+            rateLimiter.recordSuccess(provider.id);
+            console.log(`${provider.name} succeeded`);
+            return {
+                success: true,
+                text: result.text,
+                service: result.sameLanguage ? `${provider.name} (same language)` : provider.name,
+                provider: provider.id,
+                detectedLang: result.detectedLang || confidentLang(detection),
+                providerDetectedLang: result.detectedLang || null,
+                detection
+            };
         } catch (error) {
+            console.log(`${provider.name} failed:`, error.message);
             lastError = error;
-            console.log(`Lingva instance ${instanceIndex} failed:`, error.message);
-        }
-    }
-
-    throw lastError || new Error('All Lingva instances failed');
-}
 
-// MyMemory translation (detects language if same source/target)
-async function translateWithMyMemory(text, from, to) {
-    await enforceRateLimit(); // Apply rate limiting
-    
-    // MyMemory needs explicit source language, can't use same source and target
-    let sourceLang = from;
+            // Provider had nothing it could try (e.g. every Lingva instance cooling down)
+            if (error.skipped) {
+                attempted--;
+                if (error.retryAfter) nextAvailable = Math.min(nextAvailable, error.retryAfter);
+                continue;
+            }
 
-    // If auto-detect or same language, try to detect first
-    if (from === 'auto' || from === to) {
-        // Assume Russian or Chinese for auto-detect based on character detection
-        if (/[\u4e00-\u9fff]/.test(text)) {
-            sourceLang = 'zh-CN';
-        } else if (/[\u0400-\u04FF]/.test(text)) {
-            sourceLang = 'ru';
-        } else {
-            sourceLang = 'en'; // Default fallback
+            rateLimiter.recordFailure(provider.id, {
+                rateLimited: isRateLimitError(error),
+                message: error.message
+            });
         }
     }
 
-    // Skip if source equals target
-    if (sourceLang === to) {
-        return { success: true, text: text, service: 'MyMemory (same language)' };
-    }
-
-    const langPair = `${sourceLang}|${to}`;
-    const url = `${TRANSLATION_SERVICES.myMemory.url}?q=${encodeURIComponent(text)}&langpair=${langPair}`;
-
-    const response = await httpRequest(url);
-
-    if (response.status === 200 && response.data.responseStatus === 200) {
-        RATE_LIMIT.consecutiveErrors = 0; // Reset error counter on success
-        return {
-            success: true,
-            text: response.data.responseData.translatedText,
-            service: 'MyMemory'
-        };
+    if (attempted === 0 && nextAvailable !== Infinity) {
+        const seconds = Math.ceil(nextAvailable / 1000);
+        throw new Error(`Rate limit cooldown active on all providers. Please wait ${seconds} seconds.`);
     }
 
-    throw new Error(response.data.responseDetails || 'MyMemory translation failed');
+    throw lastError || new Error('All translation services failed');
 }
 
-// Google Translate (fallback with enhanced rate limiting)
-async function translateWithGoogle(text, from, to) {
-    if (!googleTranslate) {
-        throw new Error('Google Translate not available');
-    }
-
-    await enforceRateLimit(); // Apply rate limiting
-    
-    const options = { to };
-    if (from && from !== 'auto') {
-        options.from = from;
-    }
-
-    try {
-        const result = await googleTranslate(text, options);
-        RATE_LIMIT.consecutiveErrors = 0; // Reset error counter on success
-        return {
-            success: true,
-            text: result.text,
-            service: 'Google',
-            detectedLang: result.raw?.src || null
-        };
-    } catch (error) {
-        // Check if it's a rate limit error
-        if (error.message && (error.message.includes('Too Many Requests') || 
-                             error.message.includes('429') ||
-                             error.message.includes('rate limit'))) {
-            RATE_LIMIT.consecutiveErrors++;
-            RATE_LIMIT.cooldownUntil = Date.now() + RATE_LIMIT.cooldownDuration;
-            console.log(`Rate limit detected. Entering cooldown for ${RATE_LIMIT.cooldownDuration/1000} seconds`);
-        }
-        throw error;
-    }
+// Health of every enabled provider for the status indicator
+function getProviderStatus() {
+    const states = new Map(rateLimiter.getStatus().map(state => [state.key, state]));
+    const healthy = { health: 'healthy', circuit: 'closed', availableAt: 0, lastError: null };
+
+    return resolveProviderChain(store.get('providers')).map(({ provider, config }) => ({
+        id: provider.id,
+        name: provider.name,
+        ...healthy,
+        ...states.get(provider.id),
+        instances: provider.limiterKeys
+            ? provider.limiterKeys(config).map(({ key, label }) => ({ label, ...healthy, ...states.get(key) }))
+            : []
+    }));
 }
 
-// Main translation function with fallback chain and improved error handling
-async function translateText(text, from, to) {
-    const services = [
-        { name: 'Lingva', fn: translateWithLingva },
-        { name: 'MyMemory', fn: translateWithMyMemory },
-        { name: 'Google', fn: translateWithGoogle }
-    ];
-
-    let lastError = null;
+let providerStatusTimer = null;
 
-    for (const service of services) {
-        try {
-            console.log(`Trying ${service.name}...`);
-            const result = await service.fn(text, from, to);
-            console.log(`${service.name} succeeded`);
-            return result;
-        } catch (error) {
-            console.log(`${service.name} failed:`, error.message);
-            lastError = error;
-            
-            // Longer delay if rate limit error detected
-            const isRateLimitError = error.message && (
-                error.message.includes('Too Many Requests') || 
-                error.message.includes('429') ||
-                error.message.includes('rate limit') ||
-                error.message.includes('cooldown')
-            );
-            
-            if (isRateLimitError) {
-                RATE_LIMIT.consecutiveErrors++;
-                await wait(RATE_LIMIT.retryDelay);
-            } else {
-                await wait(500); // Normal delay before trying next service
-            }
+function scheduleProviderStatusUpdate() {
+    if (providerStatusTimer) return;
+    providerStatusTimer = setTimeout(() => {
+        providerStatusTimer = null;
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('provider-status', getProviderStatus());
         }
-    }
-
-    throw lastError || new Error('All translation services failed');
+    }, 100);
 }
 
 // Initialize store for settings persistence
@@ -302,20 +171,94 @@ const store = new Store({
         targetLanguage: 'ru',
         alwaysOnTop: true,
         clipboardMonitoring: true,
+        clipboardImageOcr: false,   // OCR images copied to the clipboard (opt-in)
+        clipboardOcrLangs: 'rus+chi_sim+eng',
         opacity: 0.95,
         position: { x: null, y: null },
-        theme: 'dark'
+        theme: 'dark',
+        providers: resolveProviderConfigs(),
+        cacheTtlDays: 7,
+        cacheMaxEntries: 5000,
+        translationMemory: true,
+        tmAutoApply: false,     // Use near-duplicate matches without asking
+        tmThreshold: 0.9,       // Similarity (0-1) of a near-duplicate match
+        captureRegion: null, // { displayId, x, y, width, height } in display DIPs
+        overlayBounds: null,
+        ocrLangPath: '',      // Extra folder with <lang>.traineddata(.gz) files
+        ocrAllowDownload: true,
+        ocrMaxWorkers: 2,
+        ocrPreprocess: { grayscale: false, contrast: false, binarize: false, upscale: false, deskew: false, denoise: false }
+    }
+});
+
+// Translation cache to avoid repeated API calls (persisted in userData)
+const translationCache = createTranslationCache({
+    filePath: path.join(app.getPath('userData'), 'translation-cache.json'),
+    ttlDays: store.get('cacheTtlDays'),
+    maxEntries: store.get('cacheMaxEntries')
+});
+
+// Translations of whole texts by target language, shared by the main window and
+// chat import, to reuse for repeated and near-repeated messages
+const translationMemory = createTranslationMemory({
+    filePath: path.join(app.getPath('userData'), 'translation-memory.json')
+});
+
+// Translation history shown in the main window
+const translationHistory = createHistoryStore({
+    filePath: path.join(app.getPath('userData'), 'translation-history.json')
+});
+
+// Do-not-translate terms and forced translations; cached and remembered
+// translations that contain an edited term are dropped so the change applies immediately
+const glossary = createGlossary({
+    filePath: path.join(app.getPath('userData'), 'glossary.json'),
+    onChange: (terms) => {
+        translationCache.purge({ scope: 'terms', terms });
+        translationMemory.purgeTerms(terms);
+    }
+});
+
+// Chat import sessions saved as projects, so long translation runs survive
+// closing the window or a crash
+const chatProjects = createChatProjectStore({
+    dir: path.join(app.getPath('userData'), 'chat-projects')
+});
+
+// Warm Tesseract workers shared by the OCR dialog and live capture. Language
+// data ships in tessdata/ (extraResources when packaged) so OCR works offline
+const ocrService = createOcrService({
+    cachePath: path.join(app.getPath('userData'), 'tessdata'),
+    bundledPath: app.isPackaged
+        ? path.join(process.resourcesPath, 'tessdata')
+        : path.join(__dirname, '../../tessdata'),
+    getSettings: () => ({
+        langPath: store.get('ocrLangPath'),
+        allowDownload: store.get('ocrAllowDownload'),
+        maxWorkers: store.get('ocrMaxWorkers')
+    }),
+    onProgress: (progress) => {
+        BrowserWindow.getAllWindows().forEach(win => {
+            if (!win.isDestroyed()) win.webContents.send('ocr-progress', progress);
+        });
     }
 });
 
 let mainWindow = null;
-let overlayWindow = null;
+let overlayWindow = null; // Live screen-translation overlay
+let chatImportWindow = null;
 let tray = null;
 let isQuitting = false;
 let lastClipboardText = '';
+let lastClipboardImageHash = null;
+let clipboardOcr = null; // { running, pending } while a copied image is being read
 
 // For screen capture
-const screenshot = require('screenshot-desktop');
+const { captureRegion } = require('./screen-capture');
+const { createCaptureSession, imageHash, splitLines } = require('./capture-diff');
+const captureSessions = new Map(); // webContents id -> capture session
+let regionSelectors = [];
+let resolveRegionSelection = null;
 
 
 
@@ -417,6 +360,9 @@ function createWindow() {
 }
 
 function startClipboardMonitoring() {
+    // An image already on the clipboard at startup is not new
+    lastClipboardImageHash = hashClipboardImage(clipboard.readImage());
+
     setInterval(() => {
         const currentText = clipboard.readText();
         if (currentText && currentText !== lastClipboardText && currentText.trim().length > 0) {
@@ -426,18 +372,74 @@ function startClipboardMonitoring() {
             }
         }
     }, 500);
+
+    // Images are decoded to be hashed, so they're checked less often
+    setInterval(() => {
+        if (!store.get('clipboardMonitoring') || !store.get('clipboardImageOcr')) return;
+        if (!clipboard.availableFormats().some(format => format.startsWith('image/'))) return;
+
+        const image = clipboard.readImage();
+        const hash = hashClipboardImage(image);
+        if (hash && hash !== lastClipboardImageHash) {
+            lastClipboardImageHash = hash;
+            ocrClipboardImage(image, hash);
+        }
+    }, 1500);
+}
+
+function hashClipboardImage(image) {
+    if (image.isEmpty()) return null;
+    return crypto.createHash('sha1').update(image.toBitmap()).digest('hex');
+}
+
+// OCR a copied image in the background and hand the text to the main window's
+// auto-translate flow; images copied while one is being read replace each other
+async function ocrClipboardImage(image, hash) {
+    if (clipboardOcr) {
+        clipboardOcr.pending = { image, hash };
+        return;
+    }
+    clipboardOcr = { pending: null };
+
+    const send = (payload) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('clipboard-image-ocr', { hash, ...payload });
+        }
+    };
+
+    try {
+        send({ status: 'started' });
+        const data = await ocrService.recognize(image.toPNG(), {
+            langs: store.get('clipboardOcrLangs'),
+            jobId: `clipboard-${hash.slice(0, 12)}`
+        });
+        const text = data.text.trim();
+        const size = image.getSize();
+        const thumbnail = image.resize(size.width > size.height ? { width: 160 } : { height: 120 }).toDataURL();
+
+        send(text
+            ? { status: 'done', text, confidence: data.confidence, thumbnail }
+            : { status: 'empty', thumbnail });
+    } catch (error) {
+        console.error('Clipboard OCR error:', error);
+        send({ status: 'error', error: error.message });
+    } finally {
+        const next = clipboardOcr.pending;
+        clipboardOcr = null;
+        if (next) ocrClipboardImage(next.image, next.hash);
+    }
 }
 
 function createChatImportWindow() {
-    if (overlayWindow) {
-        overlayWindow.show();
-        overlayWindow.focus();
+    if (chatImportWindow) {
+        chatImportWindow.show();
+        chatImportWindow.focus();
         return;
     }
 
     const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
 
-    overlayWindow = new BrowserWindow({
+    chatImportWindow = new BrowserWindow({
         width: 1000,
         height: 700,
         x: Math.floor((screenWidth - 1000) / 2),
@@ -452,13 +454,69 @@ function createChatImportWindow() {
         }
     });
 
-    overlayWindow.loadFile(path.join(__dirname, '../renderer/chat-import.html'));
+    chatImportWindow.loadFile(path.join(__dirname, '../renderer/chat-import.html'));
+
+    chatImportWindow.on('closed', () => {
+        chatImportWindow = null;
+    });
+}
+
+
+// Live screen-translation overlay (overlay.html), pinned next to the chat
+function createOverlayWindow() {
+    if (overlayWindow) {
+        overlayWindow.show();
+        overlayWindow.focus();
+        return;
+    }
+
+    const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
+    const bounds = store.get('overlayBounds') || {
+        width: 460,
+        height: 560,
+        x: screenWidth - 480,
+        y: Math.floor((screenHeight - 560) / 2)
+    };
+
+    overlayWindow = new BrowserWindow({
+        ...bounds,
+        minWidth: 320,
+        minHeight: 300,
+        frame: false,
+        transparent: false,
+        resizable: true,
+        alwaysOnTop: true,
+        skipTaskbar: false,
+        backgroundColor: '#0d1117',
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false
+        }
+    });
+
+    overlayWindow.loadFile(path.join(__dirname, '../renderer/overlay.html'));
+
+    // Remember where the user pinned it
+    const saveBounds = () => {
+        if (overlayWindow && !overlayWindow.isDestroyed()) {
+            store.set('overlayBounds', overlayWindow.getBounds());
+        }
+    };
+    overlayWindow.on('moved', saveBounds);
+    overlayWindow.on('resized', saveBounds);
 
     overlayWindow.on('closed', () => {
         overlayWindow = null;
     });
 }
 
+function toggleOverlayWindow() {
+    if (overlayWindow && overlayWindow.isVisible()) {
+        overlayWindow.hide();
+    } else {
+        createOverlayWindow();
+    }
+}
 
 function createTray() {
     // Create a simple tray icon
@@ -503,6 +561,11 @@ function createTray() {
                 mainWindow.webContents.send('setting-changed', { key: 'clipboardMonitoring', value: menuItem.checked });
             }
         },
+        {
+            label: 'Live Screen Translation',
+            accelerator: 'CommandOrControl+Shift+L',
+            click: () => createOverlayWindow()
+        },
         { type: 'separator' },
         {
             label: 'Quit',
@@ -579,6 +642,11 @@ function registerGlobalShortcuts() {
         mainWindow.focus();
         mainWindow.webContents.send('trigger-ocr');
     });
+
+    // Live screen-translation overlay
+    globalShortcut.register('CommandOrControl+Shift+L', () => {
+        toggleOverlayWindow();
+    });
 }
 
 // IPC Handlers
@@ -593,11 +661,183 @@ ipcMain.handle('set-setting', (event, { key, value }) => {
         mainWindow.setAlwaysOnTop(value);
     } else if (key === 'opacity') {
         mainWindow.setOpacity(value);
+    } else if (key === 'cacheTtlDays') {
+        translationCache.configure({ ttlDays: value });
+    } else if (key === 'cacheMaxEntries') {
+        translationCache.configure({ maxEntries: value });
     }
 
     return true;
 });
 
+// Translation provider chain (order, enabled state and per-provider config)
+ipcMain.handle('get-providers', () => {
+    return describeProviders(store.get('providers'));
+});
+
+ipcMain.handle('set-providers', (event, providers) => {
+    const configs = resolveProviderConfigs(providers);
+    store.set('providers', configs);
+    scheduleProviderStatusUpdate();
+    return describeProviders(configs);
+});
+
+ipcMain.handle('get-provider-status', () => {
+    return getProviderStatus();
+});
+
+ipcMain.handle('reset-provider', (event, id) => {
+    rateLimiter.reset(id);
+    return getProviderStatus();
+});
+
+// Translation cache management
+ipcMain.handle('cache-stats', () => {
+    return translationCache.getStats();
+});
+
+ipcMain.handle('cache-entries', (event, options) => {
+    return translationCache.list(options);
+});
+
+ipcMain.handle('cache-delete', (event, key) => {
+    return translationCache.remove(key);
+});
+
+ipcMain.handle('cache-purge', (event, options) => {
+    return translationCache.purge(options);
+});
+
+// Translation memory management
+ipcMain.handle('memory-stats', () => {
+    return translationMemory.getStats();
+});
+
+ipcMain.handle('memory-clear', () => {
+    return translationMemory.clear();
+});
+
+ipcMain.handle('cache-export', async () => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: `telbot-cache-${new Date().toISOString().slice(0, 10)}.json`,
+        filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+        return null;
+    }
+    return { path: result.filePath, count: translationCache.exportTo(result.filePath) };
+});
+
+// Translation history
+ipcMain.handle('history-add', (event, item) => {
+    return translationHistory.add(item);
+});
+
+ipcMain.handle('history-list', (event, options) => {
+    return translationHistory.list(options);
+});
+
+ipcMain.handle('history-update', (event, { id, changes }) => {
+    return translationHistory.update(id, changes);
+});
+
+ipcMain.handle('history-delete', (event, id) => {
+    return translationHistory.remove(id);
+});
+
+ipcMain.handle('history-clear', (event, options) => {
+    return translationHistory.clear(options);
+});
+
+ipcMain.handle('history-export', async (event, { format, query, pinnedOnly }) => {
+    const extension = format === 'csv' ? 'csv' : 'json';
+    const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: `telbot-history-${new Date().toISOString().slice(0, 10)}.${extension}`,
+        filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+        return null;
+    }
+    return { path: result.filePath, count: translationHistory.exportTo(result.filePath, extension, { query, pinnedOnly }) };
+});
+
+// Glossary management
+ipcMain.handle('glossary-list', (event, options) => {
+    return glossary.list(options);
+});
+
+ipcMain.handle('glossary-add', (event, item) => {
+    return glossary.add(item);
+});
+
+ipcMain.handle('glossary-update', (event, { id, changes }) => {
+    return glossary.update(id, changes);
+});
+
+ipcMain.handle('glossary-delete', (event, id) => {
+    return glossary.remove(id);
+});
+
+ipcMain.handle('glossary-import', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [{ name: 'CSV', extensions: ['csv'] }]
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+        return null;
+    }
+    return glossary.importCsv(result.filePaths[0]);
+});
+
+ipcMain.handle('glossary-export', async () => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: 'telbot-glossary.csv',
+        filters: [{ name: 'CSV', extensions: ['csv'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+        return null;
+    }
+    return { path: result.filePath, count: glossary.exportTo(result.filePath) };
+});
+
+// IOC extraction (main window and chat import window)
+ipcMain.handle('ioc-extract', (event, texts) => {
+    return extractIocs(texts);
+});
+
+ipcMain.handle('ioc-export', async (event, { iocs, format }) => {
+    const extension = format === 'csv' ? 'csv' : 'json';
+    const suffix = format === 'stix' ? '-stix' : '';
+    const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `telbot-iocs${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}`,
+        filters: [{ name: format === 'stix' ? 'STIX 2.1 bundle' : extension.toUpperCase(), extensions: [extension] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+        return null;
+    }
+
+    let content;
+    if (format === 'csv') {
+        const rows = iocs.map(ioc => ({ ...ioc, sources: ioc.sources.join(' ') }));
+        content = '\ufeff' + toCsv(rows, ['type', 'value', 'defanged', 'count', 'sources']);
+    } else if (format === 'stix') {
+        content = JSON.stringify(toStixBundle(iocs), null, 2);
+    } else {
+        content = JSON.stringify({ exportedAt: new Date().toISOString(), iocs }, null, 2);
+    }
+    fs.writeFileSync(result.filePath, content);
+    return { path: result.filePath, count: iocs.length };
+});
+
+ipcMain.handle('detect-language', (event, text) => {
+    return detectLanguage(text, { limit: 5 });
+});
+
 ipcMain.handle('get-clipboard', () => {
     return clipboard.readText();
 });
@@ -632,10 +872,10 @@ async function processTranslationQueue() {
     isProcessingQueue = true;
 
     while (translationQueue.length > 0) {
-        const { text, from, to, resolve, reject } = translationQueue.shift();
+        const { text, from, to, options, resolve, reject } = translationQueue.shift();
 
         try {
-            const result = await translateTextWithCache(text, from, to);
+            const result = await translateTextWithCache(text, from, to, options);
             resolve(result);
         } catch (error) {
             reject(error);
@@ -648,74 +888,307 @@ async function processTranslationQueue() {
     isProcessingQueue = false;
 }
 
+// Indicators of compromise and glossary terms are swapped for placeholders
+// around every provider call and restored afterwards: IOCs byte-for-byte,
+// glossary terms verbatim or as their forced translation
+async function translateProtected(text, from, to) {
+    const detection = buildDetection(text, from);
+    const sources = detection ? [from, detection.lang] : [from];
+    const iocSpans = findIocs(text).map(ioc => ({ start: ioc.start, end: ioc.end, kind: 'ioc', type: ioc.type }));
+    const shielded = shield(text, [...findMarkers(text), ...iocSpans, ...glossary.findSpans(text, sources, to)]);
+
+    if (shielded.tokens.length === 0) {
+        return { ...await translateText(text, from, to), protectedCount: 0, lostTokens: [] };
+    }
+
+    // Nothing left to translate once the protected spans are taken out
+    if (!/[\p{L}]/u.test(shielded.text.replace(/\[\[T\d+\]\]/g, ''))) {
+        return {
+            success: true,
+            text: restore(shielded.text, shielded.tokens).text,
+            service: 'Glossary',
+            provider: 'glossary',
+            detectedLang: confidentLang(detection),
+            detection,
+            protectedCount: shielded.tokens.length,
+            lostTokens: []
+        };
+    }
+
+    const result = await translateText(shielded.text, from, to, { detectionText: text });
+    const restored = restore(result.text, shielded.tokens);
+
+    // A dropped placeholder loses the token; an IOC must also survive byte-for-byte.
+    // Dropped entity markers are the renderer's to repair.
+    const lostTokens = shielded.tokens
+        .filter(token => token.kind !== 'marker')
+        .filter(token => restored.missing.includes(token) ||
+            (token.kind === 'ioc' && !restored.text.includes(token.original)))
+        .map(token => ({ kind: token.kind, type: token.type || null, value: token.original }));
+    if (lostTokens.length > 0) {
+        console.warn(`${result.service} lost ${lostTokens.length} protected token(s):`,
+            lostTokens.map(token => token.value).join(', '));
+    }
+
+    return { ...result, text: restored.text, protectedCount: shielded.tokens.length, lostTokens };
+}
+
 // Translation with caching
-async function translateTextWithCache(text, from, to) {
+// `stored` is a lookupStored() result the caller already has, so the cache
+// and memory aren't asked (and their stats counted) twice
+async function translateTextWithCache(text, from, to, { bypassCache = false, cacheResult = true, onProgress, stored } = {}) {
     // Trim and check for empty text
     const trimmedText = text?.trim();
     if (!trimmedText) {
         throw new Error('Empty text');
     }
 
-    // Check cache first
-    const cacheKey = `${from || 'auto'}_${to}_${trimmedText.substring(0, 100)}`;
-    if (translationCache.has(cacheKey)) {
+    const { response: storedResponse, memoryMatch } = bypassCache ? {} : stored || lookupStored(trimmedText, from, to);
+    if (storedResponse) {
+        return storedResponse;
+    }
+
+    // Long texts are split into chunks the provider can take in one request
+    const maxBytes = getChunkLimit();
+    let response;
+
+    if (needsChunking(trimmedText, maxBytes)) {
+        response = await translateLongText(trimmedText, from || 'auto', to, maxBytes, { bypassCache, onProgress });
+    } else {
+        // Use multi-service translation
+        const result = await translateProtected(trimmedText, from || 'auto', to);
+
+        response = {
+            success: true,
+            text: result.text,
+            service: result.service,
+            provider: result.provider,
+            detectedLang: result.detectedLang || null,
+            detection: result.detection || null,
+            protectedCount: result.protectedCount,
+            lostTokens: result.lostTokens
+        };
+    }
+
+    // Cache the successful result (not one that lost protected tokens, so a retry can fix it)
+    if (cacheResult && response.lostTokens.length === 0) {
+        translationCache.set(trimmedText, from || 'auto', to, response);
+        rememberTranslation(trimmedText, to, response);
+    }
+
+    if (memoryMatch?.suggestion) {
+        response.memorySuggestion = memoryMatch.suggestion;
+    }
+
+    return response;
+}
+
+// Cache first, then the translation memory: exact repeats come from the
+// memory, near repeats too when auto-apply is on. { response } when one of
+// them answers, otherwise { memoryMatch } (a near repeat to offer, or null).
+function lookupStored(text, from, to) {
+    const cached = translationCache.get(text, from || 'auto', to);
+    if (cached) {
         console.log('Cache hit for translation');
-        return translationCache.get(cacheKey);
+        return { response: cached };
     }
 
-    // Use multi-service translation
-    const result = await translateText(trimmedText, from || 'auto', to);
+    const memoryMatch = lookupMemory(text, to);
+    return memoryMatch?.result ? { response: memoryMatch.result } : { memoryMatch };
+}
+
+// { result } to use as the translation, { suggestion } to offer, or null
+function lookupMemory(text, to) {
+    if (!store.get('translationMemory')) return null;
+    const found = translationMemory.lookup(text, to, { threshold: store.get('tmThreshold') });
+    if (!found) return null;
+
+    // A near match with other links, handles, numbers or IOCs is only ever
+    // suggested: its translation carries the old values
+    const { entry, match, similarity } = found;
+    const valuesDiffer = match === 'fuzzy' && !sameValues(text, entry.source);
+    if (match === 'fuzzy' && (valuesDiffer || !store.get('tmAutoApply'))) {
+        return { suggestion: { source: entry.source, text: entry.translation, similarity, service: entry.service, valuesDiffer } };
+    }
+
+    console.log(`Translation memory ${match} match`);
+    return {
+        result: {
+            success: true,
+            text: entry.translation,
+            service: match === 'exact' ? 'Translation memory' : `Translation memory (${Math.round(similarity * 100)}% match)`,
+            provider: 'memory',
+            detectedLang: null,
+            detection: null,
+            protectedCount: 0,
+            lostTokens: [],
+            memory: { match, similarity, source: entry.source, service: entry.service }
+        }
+    };
+}
+
+function rememberTranslation(text, to, response) {
+    if (!store.get('translationMemory') || response.memory) return;
+    translationMemory.add(text, to, { translation: response.text, service: response.service, provider: response.provider });
+}
+
+// Chunked translation; every chunk is cached on its own so a retry after a
+// failure halfway through only pays for the missing chunks
+async function translateLongText(text, from, to, maxBytes, { bypassCache, onProgress }) {
+    const { text: translated, results, chunks } = await translateInChunks(text, maxBytes, async (chunk) => {
+        const cached = bypassCache ? null : translationCache.get(chunk, from, to);
+        if (cached) return cached;
 
-    const response = {
+        const result = await translateProtected(chunk, from, to);
+        if (result.lostTokens.length === 0) {
+            translationCache.set(chunk, from, to, result);
+        }
+        return result;
+    }, onProgress);
+
+    console.log(`Translated long text in ${chunks} chunks`);
+
+    const detection = buildDetection(text, from);
+    const services = [...new Set(results.map(result => result.service))];
+    return {
         success: true,
-        text: result.text,
-        service: result.service,
-        detectedLang: result.detectedLang || null
+        text: translated,
+        service: services.join(' + '),
+        provider: results[0]?.provider || null,
+        detectedLang: results.find(result => result.detectedLang)?.detectedLang || confidentLang(detection),
+        detection,
+        chunks,
+        protectedCount: results.reduce((sum, result) => sum + (result.protectedCount || 0), 0),
+        lostTokens: results.flatMap(result => result.lostTokens || [])
     };
+}
+
+// Add a translation to the queue; resolves with the translateTextWithCache result
+function queueTranslation(text, from, to, options = {}) {
+    return new Promise((resolve, reject) => {
+        translationQueue.push({ text, from: from || 'auto', to, options, resolve, reject });
+
+        // Start processing queue
+        processTranslationQueue().catch(err => {
+            console.error('Queue processing error:', err);
+        });
+    });
+}
 
-    // Cache the successful result
-    if (translationCache.size >= MAX_CACHE_SIZE) {
-        const firstKey = translationCache.keys().next().value;
-        translationCache.delete(firstKey);
+// Many short texts in as few requests as possible (chat import). Cached texts
+// are answered directly; the rest are packed into batches that fit one request
+// of the preferred provider. The batch itself isn't cached, its messages are.
+// A batch whose delimiters come back mangled is retried message by message.
+async function translateBatch(items, from, to, { bypassCache = false } = {}) {
+    const results = new Map();
+    const stats = { messages: items.length, cached: 0, memory: 0, requests: 0, batched: 0, fallback: 0 };
+    const pending = [];
+
+    for (const item of items) {
+        const text = item.text.trim();
+        const stored = bypassCache ? null : lookupStored(text, from, to);
+        if (stored?.response) {
+            results.set(item.id, stored.response);
+            if (stored.response.memory) stats.memory++;
+            else stats.cached++;
+        } else {
+            pending.push({ id: item.id, text, stored });
+        }
     }
-    translationCache.set(cacheKey, response);
 
-    return response;
+    const translateOne = async (item) => {
+        stats.requests++;
+        try {
+            results.set(item.id, await queueTranslation(item.text, from, to, { bypassCache, stored: item.stored }));
+        } catch (error) {
+            results.set(item.id, { success: false, error: error.message || 'Translation failed' });
+        }
+    };
+
+    for (const batch of packBatches(pending, { maxBytes: getChunkLimit() })) {
+        if (batch.length === 1) {
+            await translateOne(batch[0]);
+            continue;
+        }
+
+        let response;
+        stats.requests++;
+        try {
+            response = await queueTranslation(joinBatch(batch.map(item => item.text)), from, to, {
+                bypassCache: true,
+                cacheResult: false
+            });
+        } catch (error) {
+            // Every provider failed; one-by-one requests would fail the same way
+            batch.forEach(item => results.set(item.id, { success: false, error: error.message || 'Translation failed' }));
+            continue;
+        }
+
+        const texts = splitBatch(response.text, batch.length);
+        if (!texts) {
+            console.warn(`${response.service} mangled a batch of ${batch.length} messages; translating them one by one`);
+            stats.fallback += batch.length;
+            for (const item of batch) await translateOne(item);
+            continue;
+        }
+
+        stats.batched += batch.length;
+        batch.forEach((item, index) => {
+            const result = { ...response, text: texts[index], batched: true };
+            if (response.lostTokens.length === 0) {
+                translationCache.set(item.text, from || 'auto', to, result);
+                rememberTranslation(item.text, to, result);
+            }
+            results.set(item.id, result);
+        });
+    }
+
+    return { results: items.map(item => ({ id: item.id, ...results.get(item.id) })), stats };
 }
 
+ipcMain.handle('translate-batch', async (event, { items, from, to, bypassCache }) => {
+    const valid = (items || []).filter(item => item.text?.trim());
+    try {
+        return await translateBatch(valid, from, to, { bypassCache: Boolean(bypassCache) });
+    } catch (error) {
+        return {
+            results: valid.map(item => ({ id: item.id, success: false, error: error.message || 'Translation failed' })),
+            stats: { messages: valid.length, cached: 0, memory: 0, requests: 0, batched: 0, fallback: 0 }
+        };
+    }
+});
+
 // Translation handler with queue management
-ipcMain.handle('translate-text', async (event, { text, from, to }) => {
+ipcMain.handle('translate-text', async (event, { text, from, to, bypassCache, requestId }) => {
     // Trim and check for empty text
     const trimmedText = text?.trim();
     if (!trimmedText) {
         return { success: false, error: 'Empty text' };
     }
 
-    // Check cache first for quick response
-    const cacheKey = `${from || 'auto'}_${to}_${trimmedText.substring(0, 100)}`;
-    if (translationCache.has(cacheKey)) {
-        console.log('Cache hit for translation');
-        return translationCache.get(cacheKey);
+    // Cache and translation memory answers don't wait in the queue behind provider calls
+    const stored = bypassCache ? null : lookupStored(trimmedText, from, to);
+    if (stored?.response) {
+        return stored.response;
     }
 
-    // Add to queue and process
-    return new Promise((resolve, reject) => {
-        translationQueue.push({
-            text: trimmedText,
-            from: from || 'auto',
-            to,
-            resolve: (result) => resolve(result),
-            reject: (error) => resolve({ 
-                success: false, 
-                error: error.message || 'Translation failed'
-            })
-        });
-
-        // Start processing queue
-        processTranslationQueue().catch(err => {
-            console.error('Queue processing error:', err);
+    try {
+        return await queueTranslation(trimmedText, from, to, {
+            bypassCache: Boolean(bypassCache),
+            stored,
+            // Chunk progress for long texts
+            onProgress: (progress) => {
+                if (!event.sender.isDestroyed()) {
+                    event.sender.send('translation-progress', { requestId, ...progress });
+                }
+            }
         });
-    });
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message || 'Translation failed'
+        };
+    }
 });
 
 ipcMain.handle('select-image-file', async () => {
@@ -732,9 +1205,9 @@ ipcMain.handle('select-image-file', async () => {
     return null;
 });
 
-// Chat Import window handlers
+// Live overlay and Chat Import window handlers
 ipcMain.on('open-overlay', () => {
-    createChatImportWindow();
+    createOverlayWindow();
 });
 
 ipcMain.on('open-chat-import', () => {
@@ -748,11 +1221,39 @@ ipcMain.on('close-overlay', () => {
 });
 
 ipcMain.on('close-chat-import', () => {
-    if (overlayWindow) {
-        overlayWindow.close();
+    if (chatImportWindow) {
+        chatImportWindow.close();
+    }
+});
+
+// Telegram HTML exports are a folder of paginated pages
+ipcMain.handle('select-chat-export-folder', async (event) => {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Select Telegram Export Folder',
+        properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return null;
     }
+    return result.filePaths[0];
 });
 
+// Chat import projects
+ipcMain.handle('chat-project-list', () => chatProjects.list());
+
+ipcMain.handle('chat-project-create', (event, project) => chatProjects.create(project));
+
+ipcMain.handle('chat-project-load', (event, id) => chatProjects.load(id));
+
+ipcMain.handle('chat-project-record', (event, { id, entries }) => {
+    chatProjects.record(id, entries);
+    return true;
+});
+
+ipcMain.handle('chat-project-update', (event, { id, changes }) => chatProjects.update(id, changes));
+
+ipcMain.handle('chat-project-delete', (event, id) => chatProjects.remove(id));
+
 ipcMain.on('show-main-window', () => {
     if (mainWindow) {
         mainWindow.show();
@@ -772,37 +1273,218 @@ ipcMain.on('set-overlay-opacity', (event, opacity) => {
     }
 });
 
+// Data URL -> preprocessed PNG, or the original when no step is selected.
+// The last result is kept, so recognizing right after the preview (same
+// image, same steps) doesn't preprocess again.
+let lastPreprocessed = null; // { key, promise }
+
+function prepareOcrImage(image, preprocess) {
+    const enabled = preprocess && Object.values(preprocess).some(Boolean);
+    if (!enabled) {
+        return Promise.resolve({ image, applied: [], skewAngle: 0, inverted: false, scale: 1 });
+    }
+
+    const key = crypto.createHash('sha1').update(image).update(JSON.stringify(preprocess)).digest('hex');
+    if (lastPreprocessed?.key !== key) {
+        const promise = preprocessOcrImage(image, preprocess);
+        lastPreprocessed = { key, promise };
+        promise.catch(() => {
+            if (lastPreprocessed?.promise === promise) lastPreprocessed = null;
+        });
+    }
+    return lastPreprocessed.promise;
+}
+
+async function preprocessOcrImage(image, preprocess) {
+    // nativeImage only decodes PNG and JPEG; Tesseract reads the rest itself
+    let working = nativeImage.createFromDataURL(image);
+    if (working.isEmpty()) {
+        throw new Error('Preprocessing supports PNG and JPEG images only');
+    }
+
+    const applied = [];
+    let scale = 1;
+    if (preprocess.upscale) {
+        const size = working.getSize();
+        const target = upscaleSize(size.width, size.height);
+        if (target) {
+            working = working.resize({ ...target, quality: 'best' });
+            scale = working.getSize().width / size.width;
+            applied.push('upscale');
+        }
+    }
+
+    if (!needsPixelSteps(preprocess)) {
+        return { image: working.toPNG(), applied, skewAngle: 0, inverted: false, scale };
+    }
+
+    // The pixel steps run on a worker thread so the windows stay responsive
+    const size = working.getSize();
+    const result = await processBitmapInWorker({ bitmap: working.toBitmap(), width: size.width, height: size.height }, preprocess);
+    const processed = nativeImage.createFromBitmap(Buffer.from(result.bitmap.buffer), { width: result.width, height: result.height });
+    return {
+        image: processed.toPNG(),
+        applied: [...applied, ...result.applied],
+        skewAngle: result.skewAngle,
+        inverted: result.inverted,
+        scale
+    };
+}
+
+// Before/after preview for the OCR dialog
+ipcMain.handle('ocr-preprocess', async (event, { image, preprocess }) => {
+    try {
+        const result = await prepareOcrImage(image, preprocess);
+        return {
+            success: true,
+            preview: `data:image/png;base64,${result.image.toString('base64')}`,
+            applied: result.applied,
+            skewAngle: result.skewAngle
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// OCR for the main window's image dialog; progress arrives as 'ocr-progress' events
+ipcMain.handle('ocr-recognize', async (event, { image, langs, jobId, preprocess }) => {
+    try {
+        const prepared = await prepareOcrImage(image, preprocess);
+        const data = await ocrService.recognize(prepared.image, {
+            langs,
+            jobId,
+            output: { text: true, blocks: true }
+        });
+
+        // Boxes are mapped back onto the original image unless it was rotated,
+        // in which case they only fit the deskewed copy
+        const rotated = prepared.skewAngle !== 0;
+        return {
+            success: true,
+            text: data.text,
+            confidence: data.confidence,
+            applied: prepared.applied,
+            skewAngle: prepared.skewAngle,
+            blocks: toTextBlocks(data, rotated ? 1 : prepared.scale),
+            layoutImage: rotated ? `data:image/png;base64,${prepared.image.toString('base64')}` : null
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Translate OCR text blocks one by one for painting over the image
+ipcMain.handle('ocr-translate-blocks', async (event, { blocks, from, to }) => {
+    const results = await Promise.all(blocks.map(async (block) => {
+        try {
+            const result = await queueTranslation(block.text, from, to);
+            if (!result.success) throw new Error(result.error);
+            return { ...block, translation: result.text, service: result.service };
+        } catch (error) {
+            return { ...block, translation: null, error: error.message };
+        }
+    }));
+    return {
+        blocks: results,
+        failed: results.filter(block => block.translation === null).length
+    };
+});
+
+ipcMain.handle('save-annotated-image', async (event, dataUrl) => {
+    const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `telbot-translated-${new Date().toISOString().slice(0, 10)}.png`,
+        filters: [{ name: 'PNG image', extensions: ['png'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+        return null;
+    }
+    fs.writeFileSync(result.filePath, nativeImage.createFromDataURL(dataUrl).toPNG());
+    return result.filePath;
+});
+
+ipcMain.handle('ocr-cancel', (event, jobId) => {
+    return ocrService.cancel(jobId);
+});
+
+ipcMain.handle('ocr-status', () => {
+    return ocrService.getStatus();
+});
+
+ipcMain.handle('choose-ocr-lang-path', async (event) => {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Select OCR Language Data Folder',
+        properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return null;
+    }
+    store.set('ocrLangPath', result.filePaths[0]);
+    return result.filePaths[0];
+});
+
 // Capture screen and translate using OCR
-const Tesseract = require('tesseract.js');
+function getCaptureSession(webContents) {
+    if (!captureSessions.has(webContents.id)) {
+        captureSessions.set(webContents.id, createCaptureSession());
+        webContents.once('destroyed', () => captureSessions.delete(webContents.id));
+    }
+    return captureSessions.get(webContents.id);
+}
 
-ipcMain.handle('capture-and-translate', async (event, { targetLang, region }) => {
+// Auto-captures skip frames that look the same as the last one and only
+// translate newly appeared lines; `force` (manual capture) translates everything
+ipcMain.handle('capture-and-translate', async (event, { targetLang, region, force = false }) => {
     try {
-        // Capture screenshot
-        const imgBuffer = await screenshot({ format: 'png' });
-        const base64Image = `data:image/png;base64,${imgBuffer.toString('base64')}`;
+        const session = getCaptureSession(event.sender);
+
+        // Capture the remembered region (or the whole primary screen)
+        const imgBuffer = await captureRegion(region || store.get('captureRegion'));
+        const hash = imageHash(nativeImage.createFromBuffer(imgBuffer));
+
+        if (!force && session.isUnchanged(hash)) {
+            return { success: true, changed: false };
+        }
 
         // Perform OCR - detect Russian, Chinese, and English
-        const ocrResult = await Tesseract.recognize(base64Image, 'rus+chi_sim+eng', {
-            logger: m => console.log('OCR:', m.status)
-        });
+        const ocrResult = await ocrService.recognize(imgBuffer, { langs: 'rus+chi_sim+eng' });
 
-        const extractedText = ocrResult.data.text.trim();
+        const extractedText = ocrResult.text.trim();
 
+        // A blank region is a valid frame: remember it so it isn't OCR'd again every tick
         if (!extractedText) {
-            return { success: false, error: 'No text found in screenshot' };
+            session.commit(hash, []);
+            return { success: true, changed: true, newLines: 0, fullText: '' };
         }
 
-        // Translate the text
-        if (!translate) {
-            return { success: true, originalText: extractedText, translatedText: '[Translation module loading...]' };
+        const lines = splitLines(extractedText);
+        const freshLines = force ? lines : session.newLines(lines);
+
+        if (freshLines.length === 0) {
+            session.commit(hash, lines);
+            return { success: true, changed: true, newLines: 0, fullText: extractedText };
         }
 
-        const translationResult = await translate(extractedText, { to: targetLang });
+        // Translate through the provider chain, cache and queue like any other text
+        const originalText = freshLines.join('\n');
+        const result = await queueTranslation(originalText, 'auto', targetLang);
+
+        // Only remember the frame once its lines are translated, so failures are retried
+        session.commit(hash, lines);
 
         return {
             success: true,
-            originalText: extractedText,
-            translatedText: translationResult.text
+            changed: true,
+            newLines: freshLines.length,
+            originalText,
+            fullText: extractedText,
+            translatedText: result.text,
+            service: result.service,
+            provider: result.provider,
+            detectedLang: result.detectedLang || null,
+            detection: result.detection || null,
+            cached: Boolean(result.cached),
+            lostTokens: result.lostTokens || []
         };
     } catch (error) {
         console.error('Capture and translate error:', error);
@@ -810,9 +1492,95 @@ ipcMain.handle('capture-and-translate', async (event, { targetLang, region }) =>
     }
 });
 
-ipcMain.handle('select-screen-region', async () => {
-    // Region selection - return null for now (full screen capture)
-    return null;
+ipcMain.handle('reset-capture-session', (event) => {
+    getCaptureSession(event.sender).reset();
+    return true;
+});
+
+// Transparent selector on every display; resolves with the dragged region or null
+function selectScreenRegion() {
+    if (resolveRegionSelection) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        resolveRegionSelection = resolve;
+
+        regionSelectors = screen.getAllDisplays().map((display) => {
+            const selector = new BrowserWindow({
+                x: display.bounds.x,
+                y: display.bounds.y,
+                width: display.bounds.width,
+                height: display.bounds.height,
+                frame: false,
+                transparent: true,
+                resizable: false,
+                movable: false,
+                skipTaskbar: true,
+                hasShadow: false,
+                enableLargerThanScreen: true,
+                webPreferences: {
+                    nodeIntegration: true,
+                    contextIsolation: false
+                }
+            });
+            selector.setAlwaysOnTop(true, 'screen-saver');
+            selector.loadFile(path.join(__dirname, '../renderer/region-selector.html'), {
+                query: { displayId: String(display.id) }
+            });
+            // Closing a selector any other way counts as cancelling
+            selector.on('closed', () => finishRegionSelection(null));
+            return selector;
+        });
+
+        regionSelectors[0]?.focus();
+    });
+}
+
+function finishRegionSelection(region) {
+    const resolve = resolveRegionSelection;
+    if (!resolve) return;
+    resolveRegionSelection = null;
+
+    const selectors = regionSelectors;
+    regionSelectors = [];
+    selectors.forEach(selector => {
+        if (!selector.isDestroyed()) selector.close();
+    });
+    resolve(region);
+}
+
+ipcMain.on('region-selector-done', (event, region) => {
+    finishRegionSelection(region);
+});
+
+ipcMain.handle('select-screen-region', async (event) => {
+    // Get the requesting window out of the way while the user picks the area
+    const requester = BrowserWindow.fromWebContents(event.sender);
+    const wasVisible = requester && requester.isVisible();
+    if (wasVisible) requester.hide();
+
+    const region = await selectScreenRegion();
+
+    if (wasVisible && !requester.isDestroyed()) {
+        requester.show();
+    }
+
+    if (region) {
+        store.set('captureRegion', region);
+        captureSessions.forEach(session => session.reset());
+    }
+    return region;
+});
+
+ipcMain.handle('get-capture-region', () => {
+    return store.get('captureRegion');
+});
+
+ipcMain.handle('clear-capture-region', () => {
+    store.set('captureRegion', null);
+    captureSessions.forEach(session => session.reset());
+    return true;
 });
 
 // App lifecycle
@@ -820,6 +1588,9 @@ app.whenReady().then(() => {
     createWindow();
     createTray();
     registerGlobalShortcuts();
+
+    // Load the live-capture languages before the first capture needs them
+    setTimeout(() => ocrService.warmUp('rus+chi_sim+eng'), 3000);
 });
 
 app.on('window-all-closed', () => {
@@ -840,4 +1611,9 @@ app.on('before-quit', () => {
 
 app.on('will-quit', () => {
     globalShortcut.unregisterAll();
+    translationCache.flush();
+    translationMemory.flush();
+    translationHistory.flush();
+    glossary.flush();
+    ocrService.shutdown();
 });
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createWorker } = require('tesseract.js');
+
+// Shared OCR service (main process)
+//
+// Keeps a small pool of warm Tesseract workers, each loaded with one language
+// combination ("rus+chi_sim+eng"), so repeated captures skip the language
+// load. Language data is read from a working directory in userData that is
+// seeded from a user-configured folder and from the tessdata/ folder shipped
+// with the app (plain or .gz files). Only languages found in neither are
+// downloaded, and only when downloads are allowed.
+
+const OEM_LSTM_ONLY = 1;
+const IDLE_TIMEOUT = 5 * 60 * 1000;   // Terminate workers unused for this long
+const gunzip = promisify(zlib.gunzip);
+const LANGUAGES = ['rus', 'ukr', 'eng', 'chi_sim', 'chi_tra', 'ara', 'fas', 'kor', 'jpn'];
+
+function splitLangs(langs) {
+    return langs.split('+').map(lang => lang.trim()).filter(Boolean);
+}
+
+// Data URL, base64 string or Buffer -> Buffer
+function toImageBuffer(image) {
+    if (Buffer.isBuffer(image)) return image;
+    const match = /^data:image\/[a-zA-Z+.-]+;base64,(.*)$/s.exec(image);
+    return Buffer.from(match ? match[1] : image, 'base64');
+}
+
+// Paragraphs from Tesseract's block tree, with boxes divided by `scale` so
+// they land on the image before any upscaling
+function toTextBlocks(data, scale = 1) {
+    const blocks = [];
+    for (const block of data.blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            const lines = (paragraph.lines || []).filter(line => line.text.trim());
+            if (lines.length === 0) continue;
+
+            const { x0, y0, x1, y1 } = paragraph.bbox;
+            const lineHeights = lines.map(line => (line.bbox.y1 - line.bbox.y0) / scale);
+            blocks.push({
+                text: lines.map(line => line.text.trim()).join('\n'),
+                bbox: {
+                    x0: Math.round(x0 / scale),
+                    y0: Math.round(y0 / scale),
+                    x1: Math.round(x1 / scale),
+                    y1: Math.round(y1 / scale)
+                },
+                lineHeight: Math.round(lineHeights.reduce((sum, h) => sum + h, 0) / lines.length),
+                confidence: paragraph.confidence
+            });
+        }
+    }
+    return blocks;
+}
+
+function createOcrService({ cachePath, bundledPath, getSettings, onProgress = () => {} }) {
+    const workers = [];      // { worker, langs, busy, job, idleTimer }
+    const queue = [];        // Jobs waiting for a worker
+    let nextJobId = 1;
+    let draining = false;
+    let drainAgain = false;
+    const installing = new Map(); // lang -> Promise of an install in progress
+
+    // Where a language's data can be found, without copying anything
+    async function findLanguage(lang) {
+        const { langPath } = getSettings();
+        const candidates = [
+            { dir: cachePath, source: 'cache' },
+            { dir: langPath, source: 'custom' },
+            { dir: bundledPath, source: 'bundled' }
+        ];
+
+        for (const { dir, source } of candidates) {
+            if (!dir) continue;
+            for (const file of [`${lang}.traineddata`, `${lang}.traineddata.gz`]) {
+                const filePath = path.join(dir, file);
+                try {
+                    await fs.promises.access(filePath);
+                    return { filePath, source };
+                } catch {
+                    // Not in this folder
+                }
+            }
+        }
+        return null;
+    }
+
+    // Language files are several MB; unpacking them must not block the main process
+    async function installLanguage(lang, found) {
+        const data = await fs.promises.readFile(found.filePath);
+        const plain = found.filePath.endsWith('.gz') ? await gunzip(data) : data;
+        const target = path.join(cachePath, `${lang}.traineddata`);
+        await fs.promises.writeFile(`${target}.tmp`, plain);
+        await fs.promises.rename(`${target}.tmp`, target);
+        console.log(`OCR: installed ${lang} from ${found.source} language data`);
+    }
+
+    // Make sure every language is in the working directory (plain, as Tesseract caches it)
+    async function prepareLanguages(langs) {
+        await fs.promises.mkdir(cachePath, { recursive: true });
+        const missing = [];
+
+        for (const lang of splitLangs(langs)) {
+            const found = await findLanguage(lang);
+            if (!found) {
+                missing.push(lang);
+                continue;
+            }
+            if (found.source === 'cache') continue;
+
+            // Two workers starting with the same language share one install
+            if (!installing.has(lang)) {
+                installing.set(lang, installLanguage(lang, found).finally(() => installing.delete(lang)));
+            }
+            await installing.get(lang);
+        }
+
+        if (missing.length > 0 && !getSettings().allowDownload) {
+            throw new Error(`OCR language data not installed: ${missing.join(', ')}. ` +
+                'Add the .traineddata files to the language data folder or allow downloads in Settings.');
+        }
+        return missing;
+    }
+
+    async function spawnWorker(langs) {
+        // Counted in the pool right away, while its languages are prepared
+        const entry = { worker: null, langs, busy: true, job: null, idleTimer: null };
+        workers.push(entry);
+
+        try {
+            const missing = await prepareLanguages(langs);
+            if (missing.length > 0) {
+                console.log(`OCR: downloading ${missing.join(', ')} (cached for offline use)`);
+            }
+
+            entry.worker = await createWorker(splitLangs(langs), OEM_LSTM_ONLY, {
+                cachePath,
+                cacheMethod: 'write',
+                logger: (message) => {
+                    if (entry.job) {
+                        onProgress({ jobId: entry.job.id, status: message.status, progress: message.progress });
+                    }
+                },
+                errorHandler: (error) => console.error('OCR worker error:', error)
+            });
+        } catch (error) {
+            workers.splice(workers.indexOf(entry), 1);
+            throw error;
+        }
+        return entry;
+    }
+
+    function retire(entry) {
+        clearTimeout(entry.idleTimer);
+        const index = workers.indexOf(entry);
+        if (index !== -1) workers.splice(index, 1);
+        entry.worker?.terminate().catch(() => {});
+    }
+
+    function markIdle(entry) {
+        entry.busy = false;
+        entry.job = null;
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = setTimeout(() => retire(entry), IDLE_TIMEOUT);
+    }
+
+    // An idle worker for `langs`: reuse a matching one, start a new one if the
+    // pool has room, otherwise retarget an idle worker with other languages
+    async function acquireWorker(langs) {
+        const maxWorkers = Math.max(1, getSettings().maxWorkers || 1);
+        const matching = workers.find(entry => !entry.busy && entry.langs === langs);
+        if (matching) {
+            clearTimeout(matching.idleTimer);
+            matching.busy = true;
+            return matching;
+        }
+
+        if (workers.length < maxWorkers) {
+            return spawnWorker(langs);
+        }
+
+        const idle = workers.find(entry => !entry.busy);
+        if (idle) {
+            clearTimeout(idle.idleTimer);
+            idle.busy = true;
+            try {
+                await prepareLanguages(langs);
+                await idle.worker.reinitialize(splitLangs(langs), OEM_LSTM_ONLY);
+                idle.langs = langs;
+            } catch (error) {
+                retire(idle);
+                throw error;
+            }
+            return idle;
+        }
+
+        return null;
+    }
+
+    function dequeue(job) {
+        const index = queue.indexOf(job);
+        if (index === -1) return false;
+        queue.splice(index, 1);
+        return true;
+    }
+
+    // One drain loop at a time; calls made meanwhile make it go round again
+    async function processQueue() {
+        if (draining) {
+            drainAgain = true;
+            return;
+        }
+        draining = true;
+        try {
+            do {
+                drainAgain = false;
+                await drainQueue();
+            } while (drainAgain);
+        } finally {
+            draining = false;
+        }
+    }
+
+    async function drainQueue() {
+        while (queue.length > 0) {
+            const job = queue[0];
+            let entry;
+            try {
+                entry = await acquireWorker(job.langs);
+            } catch (error) {
+                dequeue(job);
+                job.reject(error);
+                continue;
+            }
+            if (!entry) return; // Every worker is busy; a finishing job restarts the queue
+
+            // The job may have been cancelled while its worker was starting
+            if (!dequeue(job)) {
+                markIdle(entry);
+                continue;
+            }
+            runJob(entry, job);
+        }
+    }
+
+    async function runJob(entry, job) {
+        entry.job = job;
+        onProgress({ jobId: job.id, status: 'recognizing text', progress: 0 });
+
+        try {
+            const result = await entry.worker.recognize(job.image, job.options, job.output);
+            job.resolve(result.data);
+        } catch (error) {
+            job.reject(job.cancelled ? new Error('OCR cancelled') : error);
+        } finally {
+            if (job.cancelled) {
+                retire(entry);
+            } else {
+                markIdle(entry);
+            }
+            processQueue();
+        }
+    }
+
+    // Recognise an image; resolves with Tesseract's result data (`output` picks
+    // which formats Tesseract builds, e.g. { text: true, blocks: true })
+    function recognize(image, { langs = 'rus+chi_sim+eng', jobId, options = {}, output } = {}) {
+        const id = jobId || `ocr-${nextJobId++}`;
+        return new Promise((resolve, reject) => {
+            queue.push({ id, image: toImageBuffer(image), langs, options, output, resolve, reject, cancelled: false });
+            processQueue();
+        });
+    }
+
+    // Queued jobs are dropped; a running job's worker is terminated, as Tesseract can't abort a job
+    function cancel(jobId) {
+        const queued = queue.findIndex(job => job.id === jobId);
+        if (queued !== -1) {
+            const [job] = queue.splice(queued, 1);
+            job.reject(new Error('OCR cancelled'));
+            return true;
+        }
+
+        // A terminated worker never answers, so settle the job here
+        const running = workers.find(entry => entry.job && entry.job.id === jobId);
+        if (running) {
+            const job = running.job;
+            job.cancelled = true;
+            job.reject(new Error('OCR cancelled'));
+            retire(running);
+            processQueue();
+            return true;
+        }
+        return false;
+    }
+
+    // Start a worker ahead of the first capture
+    async function warmUp(langs) {
+        try {
+            const entry = await acquireWorker(langs);
+            if (entry) markIdle(entry);
+        } catch (error) {
+            console.error('OCR warm-up failed:', error.message);
+        }
+    }
+
+    async function getStatus() {
+        return {
+            languages: await Promise.all(LANGUAGES.map(async lang => {
+                const found = await findLanguage(lang);
+                return { code: lang, installed: Boolean(found), source: found ? found.source : null };
+            })),
+            workers: workers.map(entry => ({ langs: entry.langs, busy: entry.busy })),
+            queued: queue.length
+        };
+    }
+
+    async function shutdown() {
+        queue.splice(0).forEach(job => job.reject(new Error('OCR service stopped')));
+        await Promise.all(workers.splice(0).map(entry => {
+            clearTimeout(entry.idleTimer);
+            return entry.worker ? entry.worker.terminate().catch(() => {}) : null;
+        }));
+    }
+
+    return { recognize, cancel, warmUp, getStatus, shutdown };
+}
+
+module.exports = { createOcrService, toTextBlocks, LANGUAGES };
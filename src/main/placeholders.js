@@ -0,0 +1,75 @@
+// Placeholder protection
+//
+// Spans of text that must come back from a provider unchanged (glossary terms,
+// and anything else the pipeline wants to keep) are swapped for short tokens
+// like "[[T0]]" before translation and swapped back afterwards. Providers
+// sometimes add spaces inside the brackets or transliterate the "T" to a
+// Cyrillic "Т", so restoration matches those variants too.
+
+const PLACEHOLDER = /\[\s*\[\s*[TtТт]\s*(\d+)\s*\]\s*\]/g;
+
+function placeholderFor(index) {
+    return `[[T${index}]]`;
+}
+
+// spans: [{ start, end, replacement, ...info }] in any order; overlapping spans
+// are resolved in favour of the one listed first.
+// Returns the shielded text and the tokens needed to restore it.
+function shield(text, spans) {
+    const accepted = [];
+    for (const span of spans) {
+        if (span.end <= span.start) continue;
+        const overlaps = accepted.some(other => span.start < other.end && other.start < span.end);
+        if (!overlaps) accepted.push(span);
+    }
+    accepted.sort((a, b) => a.start - b.start);
+
+    const tokens = [];
+    let result = '';
+    let lastIndex = 0;
+
+    for (const span of accepted) {
+        const placeholder = placeholderFor(tokens.length);
+        const original = text.slice(span.start, span.end);
+        tokens.push({
+            ...span,
+            placeholder,
+            original,
+            replacement: span.replacement !== undefined ? span.replacement : original
+        });
+        result += text.slice(lastIndex, span.start) + placeholder;
+        lastIndex = span.end;
+    }
+    result += text.slice(lastIndex);
+
+    return { text: result, tokens };
+}
+
+// Put the protected spans back. Tokens the provider dropped are reported in `missing`.
+function restore(text, tokens) {
+    if (tokens.length === 0) {
+        return { text, missing: [] };
+    }
+
+    const seen = new Set();
+    const restored = text.replace(PLACEHOLDER, (match, index) => {
+        const token = tokens[Number(index)];
+        if (!token) return match;
+        seen.add(token);
+        return token.replacement;
+    });
+
+    return { text: restored, missing: tokens.filter(token => !seen.has(token)) };
+}
+
+// Private-use characters the renderer uses to mark rich-text entities
+// (see renderer/rich-text.js); each is shielded on its own.
+function findMarkers(text) {
+    const spans = [];
+    for (const match of text.matchAll(/[\uE000-\uF8FF]/g)) {
+        spans.push({ start: match.index, end: match.index + 1, kind: 'marker' });
+    }
+    return spans;
+}
+
+module.exports = { shield, restore, placeholderFor, findMarkers };
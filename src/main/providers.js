@@ -0,0 +1,351 @@
+const { httpRequest } = require('./http');
+const { detectPrimaryLanguage } = require('./language-detect');
+
+// Translation provider registry
+//
+// Every provider implements the same interface:
+//   id        - stable key used in settings
+//   name      - label shown in the UI and in "via ..." messages
+//   fields    - which config fields the settings panel should expose
+//   defaults  - default config ({ enabled, baseUrl, apiKey, timeout })
+//   maxChunkBytes - largest UTF-8 payload the provider reliably accepts in one request
+//   translate(text, from, to, config, context) -> { text, detectedLang }
+//
+// `context.detectedLang` is the offline detector's best guess when the source
+// is 'auto', for providers that need an explicit source language.
+// `context.limiter` is the shared rate limiter; providers with several
+// endpoints (Lingva) use it to track each endpoint separately. A provider that
+// has nothing it can try right now throws an error with `skipped: true`.
+//
+// The chain order and per-provider config live in the `providers` setting
+// (see resolveProviderChain), so adding a provider here is all it takes
+// for it to show up in the settings panel.
+
+// Google Translate module - using dynamic import for ESM
+let googleTranslate = null;
+(async () => {
+    try {
+        const module = await import('@vitalets/google-translate-api');
+        googleTranslate = module.translate;
+        console.log('Google Translate module loaded (fallback)');
+    } catch (error) {
+        console.error('Failed to load Google Translate module:', error);
+    }
+})();
+
+// Lingva Translate - Open source Google Translate frontend (most reliable)
+const lingva = {
+    id: 'lingva',
+    name: 'Lingva',
+    // Text goes URL-encoded into the path; ~3x expansion keeps URLs under ~6KB
+    maxChunkBytes: 1800,
+    fields: ['baseUrl', 'timeout'],
+    defaults: {
+        enabled: true,
+        // Comma-separated list of instances, tried in order
+        baseUrl: 'https://lingva.ml, https://translate.plausibility.cloud, https://lingva.garuber.dev',
+        apiKey: '',
+        timeout: 10000
+    },
+    currentInstance: 0,
+
+    async translate(text, from, to, config, { limiter } = {}) {
+        const instances = splitUrls(config.baseUrl);
+        if (instances.length === 0) {
+            throw new Error('No Lingva instances configured');
+        }
+
+        // Map language codes
+        const sourceLang = from === 'auto' ? 'auto' : from;
+        const targetLang = to === 'zh-CN' ? 'zh' : to;
+        let lastError = null;
+        let retryAfter = Infinity;
+        let attempted = 0;
+
+        // Try each instance, starting from the last one that worked
+        for (let i = 0; i < instances.length; i++) {
+            const instanceIndex = (this.currentInstance + i) % instances.length;
+            const baseUrl = instances[instanceIndex];
+            const limiterKey = `lingva:${baseUrl}`;
+
+            if (limiter && !limiter.isAvailable(limiterKey)) {
+                retryAfter = Math.min(retryAfter, limiter.blockedFor(limiterKey) || Infinity);
+                continue;
+            }
+            attempted++;
+
+            try {
+                // Lingva uses GET with URL path: /api/v1/{source}/{target}/{text}
+                const encodedText = encodeURIComponent(text);
+                const url = `${baseUrl}/api/v1/${sourceLang}/${targetLang}/${encodedText}`;
+
+                const response = await httpRequest(url, { timeout: config.timeout });
+
+                if (response.status === 200 && response.data.translation) {
+                    this.currentInstance = instanceIndex;
+                    limiter?.recordSuccess(limiterKey);
+                    return {
+                        text: response.data.translation,
+                        detectedLang: response.data.info?.detectedSource || null
+                    };
+                }
+                lastError = new Error(`Lingva HTTP ${response.status}`);
+                limiter?.recordFailure(limiterKey, { rateLimited: response.status === 429, message: lastError.message });
+            } catch (error) {
+                lastError = error;
+                limiter?.recordFailure(limiterKey, { message: error.message });
+                console.log(`Lingva instance ${instanceIndex} failed:`, error.message);
+            }
+        }
+
+        if (attempted === 0) {
+            const error = new Error('All Lingva instances are cooling down');
+            error.skipped = true;
+            error.retryAfter = retryAfter === Infinity ? null : retryAfter;
+            throw error;
+        }
+
+        throw lastError || new Error('All Lingva instances failed');
+    },
+
+    // Endpoints tracked separately by the rate limiter
+    limiterKeys(config) {
+        return splitUrls(config.baseUrl).map(url => ({ key: `lingva:${url}`, label: hostOf(url) }));
+    }
+};
+
+// MyMemory - Free tier: 1000 words/day without API key
+const myMemory = {
+    id: 'myMemory',
+    name: 'MyMemory',
+    // Documented limit for the q parameter is 500 bytes
+    maxChunkBytes: 480,
+    fields: ['baseUrl', 'apiKey', 'timeout'],
+    defaults: {
+        enabled: true,
+        baseUrl: 'https://api.mymemory.translated.net/get',
+        apiKey: '',
+        timeout: 10000
+    },
+
+    async translate(text, from, to, config, { detectedLang } = {}) {
+        // MyMemory needs explicit source language, can't use same source and target
+        let sourceLang = from;
+
+        // If auto-detect or same language, use the offline detector
+        if (from === 'auto' || from === to) {
+            sourceLang = detectedLang || detectPrimaryLanguage(text, 'en');
+        }
+
+        // Skip if source equals target
+        if (sourceLang === to) {
+            return { text: text, detectedLang: sourceLang, sameLanguage: true };
+        }
+
+        const langPair = `${sourceLang}|${to}`;
+        let url = `${config.baseUrl}?q=${encodeURIComponent(text)}&langpair=${langPair}`;
+        if (config.apiKey) {
+            url += `&key=${encodeURIComponent(config.apiKey)}`;
+        }
+
+        const response = await httpRequest(url, { timeout: config.timeout });
+
+        if (response.status === 200 && response.data.responseStatus === 200) {
+            return {
+                text: response.data.responseData.translatedText,
+                detectedLang: from === 'auto' ? sourceLang : null
+            };
+        }
+
+        throw new Error(response.data.responseDetails || `MyMemory translation failed (HTTP ${response.status})`);
+    }
+};
+
+// Google Translate (unofficial API, most likely to rate limit)
+const google = {
+    id: 'google',
+    name: 'Google',
+    maxChunkBytes: 4500,
+    fields: ['baseUrl', 'timeout'],
+    defaults: {
+        enabled: true,
+        baseUrl: 'https://translate.google.com',
+        apiKey: '',
+        timeout: 10000
+    },
+
+    async translate(text, from, to, config) {
+        if (!googleTranslate) {
+            throw new Error('Google Translate not available');
+        }
+
+        const options = {
+            to,
+            fetchOptions: { signal: AbortSignal.timeout(config.timeout) }
+        };
+        if (from && from !== 'auto') {
+            options.from = from;
+        }
+        if (config.baseUrl) {
+            options.host = new URL(config.baseUrl).host;
+        }
+
+        const result = await googleTranslate(text, options);
+        return {
+            text: result.text,
+            detectedLang: result.raw?.src || null
+        };
+    }
+};
+
+// LibreTranslate - self-hosted or public instance (https://github.com/LibreTranslate/LibreTranslate)
+const LIBRE_LANGUAGE_CODES = { 'zh-CN': 'zh', 'zh-TW': 'zt' };
+
+const libreTranslate = {
+    id: 'libreTranslate',
+    name: 'LibreTranslate',
+    // POST body; self-hosted instances default to a much higher char limit
+    maxChunkBytes: 8000,
+    fields: ['baseUrl', 'apiKey', 'timeout'],
+    defaults: {
+        enabled: false,
+        baseUrl: '',
+        apiKey: '',
+        timeout: 15000
+    },
+
+    async translate(text, from, to, config) {
+        if (!config.baseUrl) {
+            throw new Error('LibreTranslate base URL not configured');
+        }
+
+        const body = JSON.stringify({
+            q: text,
+            source: from === 'auto' ? 'auto' : (LIBRE_LANGUAGE_CODES[from] || from),
+            target: LIBRE_LANGUAGE_CODES[to] || to,
+            format: 'text',
+            ...(config.apiKey ? { api_key: config.apiKey } : {})
+        });
+
+        const response = await httpRequest(`${config.baseUrl.replace(/\/+$/, '')}/translate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            },
+            body,
+            timeout: config.timeout
+        });
+
+        if (response.status === 200 && typeof response.data.translatedText === 'string') {
+            return {
+                text: response.data.translatedText,
+                detectedLang: response.data.detectedLanguage?.language || null
+            };
+        }
+
+        throw new Error(response.data?.error || `LibreTranslate HTTP ${response.status}`);
+    }
+};
+
+const PROVIDERS = [lingva, myMemory, google, libreTranslate];
+
+// "lingva.example.com" -> "https://lingva.example.com"; null for anything
+// that isn't an http(s) URL, so a typo in settings can't break the chain
+function normalizeUrl(value) {
+    const url = value.trim().replace(/\/+$/, '');
+    if (!url) return null;
+    const hasScheme = /^[a-z][a-z\d+.-]*:\/\//i.test(url);
+    if (!hasScheme && url.includes('://')) return null;
+    const withScheme = hasScheme ? url : `https://${url}`;
+    try {
+        return /^https?:$/.test(new URL(withScheme).protocol) ? withScheme : null;
+    } catch {
+        return null;
+    }
+}
+
+function splitUrls(value) {
+    return String(value || '')
+        .split(/[\s,]+/)
+        .map(normalizeUrl)
+        .filter(Boolean);
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return url;
+    }
+}
+
+// Stored base URL(s), normalized; falls back to the default when none is usable
+function normalizeBaseUrl(value, fallback) {
+    if (typeof value !== 'string') return fallback;
+    if (!value.trim()) return '';
+    const urls = splitUrls(value);
+    return urls.length > 0 ? urls.join(', ') : fallback;
+}
+
+function getProvider(id) {
+    return PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+// Normalize a stored config entry against the provider defaults
+function normalizeConfig(provider, stored = {}) {
+    const timeout = parseInt(stored.timeout, 10);
+    return {
+        id: provider.id,
+        enabled: typeof stored.enabled === 'boolean' ? stored.enabled : provider.defaults.enabled,
+        baseUrl: normalizeBaseUrl(stored.baseUrl, provider.defaults.baseUrl),
+        apiKey: typeof stored.apiKey === 'string' ? stored.apiKey.trim() : provider.defaults.apiKey,
+        timeout: timeout > 0 ? timeout : provider.defaults.timeout
+    };
+}
+
+// Merge the stored `providers` setting with the registry: stored order first,
+// then any registered provider the user has not seen yet (appended in registry order)
+function resolveProviderConfigs(stored = []) {
+    const configs = [];
+    const seen = new Set();
+
+    for (const entry of Array.isArray(stored) ? stored : []) {
+        const provider = entry && getProvider(entry.id);
+        if (provider && !seen.has(provider.id)) {
+            seen.add(provider.id);
+            configs.push(normalizeConfig(provider, entry));
+        }
+    }
+
+    for (const provider of PROVIDERS) {
+        if (!seen.has(provider.id)) {
+            configs.push(normalizeConfig(provider));
+        }
+    }
+
+    return configs;
+}
+
+// Enabled providers in chain order, paired with their config
+function resolveProviderChain(stored) {
+    return resolveProviderConfigs(stored)
+        .filter(config => config.enabled)
+        .map(config => ({ provider: getProvider(config.id), config }));
+}
+
+// Provider metadata + config for the settings panel
+function describeProviders(stored) {
+    return resolveProviderConfigs(stored).map(config => {
+        const provider = getProvider(config.id);
+        return { ...config, name: provider.name, fields: provider.fields };
+    });
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    resolveProviderConfigs,
+    resolveProviderChain,
+    describeProviders
+};
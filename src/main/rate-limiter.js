@@ -0,0 +1,215 @@
+// Per-provider rate limiting and circuit breakers
+//
+// Every key (a provider id, or "lingva:<instance url>") gets its own:
+//   - token bucket: short bursts allowed, sustained rate capped
+//   - jittered spacing between requests, doubled per consecutive error
+//   - cooldown after a 429/"Too Many Requests", growing on repeat offences
+//   - circuit breaker: closed -> open after N failures -> half-open trial
+//
+// The chain asks `isAvailable(key)` and skips keys that are cooling down or
+// open instead of waiting on them; `acquire(key)` only ever waits for the
+// short spacing/token delays.
+
+const DEFAULTS = {
+    bucketSize: 3,              // Burst size
+    refillInterval: 2000,       // One token every 2s (~30 requests/minute sustained)
+    minDelay: 1000,             // Random spacing between requests to the same key
+    maxDelay: 3000,
+    maxBackoffDelay: 10000,     // Cap for exponential backoff spacing
+    cooldownDuration: 60000,    // Cooldown after a rate limit response
+    maxCooldown: 10 * 60000,    // Repeated rate limits double the cooldown up to this
+    failureThreshold: 3,        // Consecutive failures before the circuit opens
+    openDuration: 30000         // How long an open circuit stays open before a trial request
+};
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half-open';
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createRateLimiter(options = {}, onChange = () => {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const states = new Map();
+
+    function getState(key) {
+        if (!states.has(key)) {
+            states.set(key, {
+                key,
+                tokens: settings.bucketSize,
+                lastRefill: Date.now(),
+                lastRequest: 0,
+                consecutiveErrors: 0,
+                rateLimitStrikes: 0,
+                cooldownUntil: 0,
+                circuit: CIRCUIT_CLOSED,
+                openUntil: 0,
+                trialInFlight: false,
+                lastError: null,
+                lastSuccess: 0
+            });
+        }
+        return states.get(key);
+    }
+
+    function refill(state, now) {
+        const elapsed = now - state.lastRefill;
+        const newTokens = Math.floor(elapsed / settings.refillInterval);
+        if (newTokens > 0) {
+            state.tokens = Math.min(settings.bucketSize, state.tokens + newTokens);
+            state.lastRefill += newTokens * settings.refillInterval;
+        }
+        if (state.tokens >= settings.bucketSize) {
+            state.lastRefill = now;
+        }
+    }
+
+    // Move an open circuit to half-open once its timer has expired
+    function updateCircuit(state, now) {
+        if (state.circuit === CIRCUIT_OPEN && now >= state.openUntil) {
+            state.circuit = CIRCUIT_HALF_OPEN;
+            state.trialInFlight = false;
+            onChange();
+        }
+    }
+
+    // Milliseconds until the key can be tried again (0 = available now)
+    function blockedFor(key) {
+        const state = getState(key);
+        const now = Date.now();
+        updateCircuit(state, now);
+
+        const waits = [];
+        if (state.cooldownUntil > now) waits.push(state.cooldownUntil - now);
+        if (state.circuit === CIRCUIT_OPEN) waits.push(state.openUntil - now);
+        return waits.length > 0 ? Math.max(...waits) : 0;
+    }
+
+    function isAvailable(key) {
+        const state = getState(key);
+        if (blockedFor(key) > 0) return false;
+        // Half-open circuits let exactly one trial request through
+        return !(state.circuit === CIRCUIT_HALF_OPEN && state.trialInFlight);
+    }
+
+    // Wait for spacing/token availability, then take a token
+    async function acquire(key) {
+        const state = getState(key);
+        const now = Date.now();
+        refill(state, now);
+
+        let delay = settings.minDelay + Math.floor(Math.random() * (settings.maxDelay - settings.minDelay));
+        if (state.consecutiveErrors > 0) {
+            // Exponential backoff: multiply delay by 2^consecutiveErrors
+            delay = Math.min(delay * Math.pow(2, state.consecutiveErrors), settings.maxBackoffDelay);
+        }
+
+        let waitTime = Math.max(0, state.lastRequest + delay - now);
+        if (state.tokens < 1) {
+            waitTime = Math.max(waitTime, state.lastRefill + settings.refillInterval - now);
+        }
+
+        if (state.circuit === CIRCUIT_HALF_OPEN) {
+            state.trialInFlight = true;
+        }
+
+        // Reserve the slot before waiting so concurrent callers queue up behind it
+        state.lastRequest = now + waitTime;
+        if (waitTime > 0) {
+            console.log(`Rate limiting ${key}: waiting ${waitTime}ms before next request`);
+            await wait(waitTime);
+        }
+
+        refill(state, Date.now());
+        state.tokens = Math.max(0, state.tokens - 1);
+    }
+
+    function recordSuccess(key) {
+        const state = getState(key);
+        const changed = state.circuit !== CIRCUIT_CLOSED || state.consecutiveErrors > 0;
+        state.consecutiveErrors = 0;
+        state.rateLimitStrikes = 0;
+        state.circuit = CIRCUIT_CLOSED;
+        state.trialInFlight = false;
+        state.lastError = null;
+        state.lastSuccess = Date.now();
+        if (changed) onChange();
+    }
+
+    function recordFailure(key, { rateLimited = false, message = null } = {}) {
+        const state = getState(key);
+        const now = Date.now();
+        state.consecutiveErrors++;
+        state.lastError = message;
+
+        if (rateLimited) {
+            const cooldown = Math.min(
+                settings.cooldownDuration * Math.pow(2, state.rateLimitStrikes),
+                settings.maxCooldown
+            );
+            state.rateLimitStrikes++;
+            state.cooldownUntil = now + cooldown;
+            console.log(`Rate limit detected on ${key}. Cooling down for ${cooldown / 1000} seconds`);
+        }
+
+        // A failed trial re-opens immediately; otherwise open after the threshold
+        if (state.circuit === CIRCUIT_HALF_OPEN || state.consecutiveErrors >= settings.failureThreshold) {
+            state.circuit = CIRCUIT_OPEN;
+            state.openUntil = now + settings.openDuration;
+            console.log(`Circuit opened for ${key} (${state.consecutiveErrors} consecutive failures)`);
+        }
+        state.trialInFlight = false;
+
+        // Refresh the status indicator when the key becomes usable again
+        const blocked = blockedFor(key);
+        if (blocked > 0) {
+            setTimeout(() => {
+                updateCircuit(state, Date.now());
+                onChange();
+            }, blocked + 50);
+        }
+
+        onChange();
+    }
+
+    // Forget all state for a key and its sub-keys ("lingva" also resets "lingva:<url>")
+    function reset(key) {
+        for (const stateKey of [...states.keys()]) {
+            if (stateKey === key || stateKey.startsWith(`${key}:`)) {
+                states.delete(stateKey);
+            }
+        }
+        onChange();
+    }
+
+    // Snapshot for the status indicator
+    function getStatus() {
+        const now = Date.now();
+        return [...states.values()].map(state => {
+            updateCircuit(state, now);
+            const remaining = blockedFor(state.key);
+            let health = 'healthy';
+            if (state.circuit === CIRCUIT_OPEN) {
+                health = 'down';
+            } else if (remaining > 0 || state.circuit === CIRCUIT_HALF_OPEN || state.consecutiveErrors > 0) {
+                health = 'degraded';
+            }
+            return {
+                key: state.key,
+                health,
+                circuit: state.circuit,
+                consecutiveErrors: state.consecutiveErrors,
+                availableAt: remaining > 0 ? now + remaining : 0,
+                tokens: state.tokens,
+                lastError: state.lastError,
+                lastSuccess: state.lastSuccess
+            };
+        });
+    }
+
+    return { isAvailable, blockedFor, acquire, recordSuccess, recordFailure, reset, getStatus };
+}
+
+module.exports = { createRateLimiter };
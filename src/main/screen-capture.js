@@ -0,0 +1,81 @@
+const { screen, nativeImage } = require('electron');
+const screenshot = require('screenshot-desktop');
+
+// Screen capture for OCR
+//
+// Regions are stored in Electron DIP coordinates relative to the display
+// they were drawn on: { displayId, x, y, width, height }. screenshot-desktop
+// captures physical pixels and has its own display ids, so the display is
+// matched by position where the platform reports one, otherwise by order,
+// and the crop is scaled by the captured image's actual size.
+
+// Match an Electron display to a screenshot-desktop display
+function findScreenshotDisplay(display, capturable) {
+    if (capturable.length === 0) return null;
+
+    const scale = display.scaleFactor || 1;
+    const left = Math.round(display.bounds.x * scale);
+    const top = Math.round(display.bounds.y * scale);
+
+    const byPosition = capturable.find(candidate => {
+        const x = candidate.left !== undefined ? candidate.left : candidate.offsetX;
+        const y = candidate.top !== undefined ? candidate.top : candidate.offsetY;
+        if (x === undefined || y === undefined) return false;
+        return (x === left && y === top) || (x === display.bounds.x && y === display.bounds.y);
+    });
+    if (byPosition) return byPosition;
+
+    // Same ordering as Electron (left to right, top to bottom) as a last resort
+    const ordered = [...screen.getAllDisplays()].sort((a, b) => a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y);
+    const index = ordered.findIndex(d => d.id === display.id);
+    return capturable[index] || capturable[0];
+}
+
+async function captureDisplay(display) {
+    let capturable = [];
+    try {
+        capturable = await screenshot.listDisplays();
+    } catch (error) {
+        console.error('Failed to list displays:', error.message);
+    }
+
+    const target = capturable.length > 1 ? findScreenshotDisplay(display, capturable) : null;
+    return screenshot(target ? { screen: target.id, format: 'png' } : { format: 'png' });
+}
+
+// PNG buffer of the region (or of the whole primary display without one)
+async function captureRegion(region) {
+    const display = region
+        ? screen.getAllDisplays().find(d => d.id === region.displayId)
+        : screen.getPrimaryDisplay();
+    if (!display) {
+        throw new Error('The display the capture region was drawn on is not connected. Please select the region again.');
+    }
+    const buffer = await captureDisplay(display);
+
+    if (!region) {
+        return buffer;
+    }
+
+    const image = nativeImage.createFromBuffer(buffer);
+    const size = image.getSize();
+    const scaleX = size.width / display.bounds.width;
+    const scaleY = size.height / display.bounds.height;
+
+    const x = Math.max(0, Math.round(region.x * scaleX));
+    const y = Math.max(0, Math.round(region.y * scaleY));
+    const rect = {
+        x,
+        y,
+        width: Math.min(size.width - x, Math.round(region.width * scaleX)),
+        height: Math.min(size.height - y, Math.round(region.height * scaleY))
+    };
+
+    if (rect.width <= 0 || rect.height <= 0) {
+        throw new Error('Capture region is outside the screen. Please select it again.');
+    }
+
+    return image.crop(rect).toPNG();
+}
+
+module.exports = { captureRegion, captureDisplay, findScreenshotDisplay };
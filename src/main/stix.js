@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// STIX 2.1 export of extracted indicators (see ../shared/ioc.js)
+
+const HASH_TYPES = { md5: 'MD5', sha1: 'SHA-1', sha256: 'SHA-256', sha512: 'SHA-512' };
+const WALLET_TYPES = { btc: 'bitcoin', eth: 'ethereum', xmr: 'monero', tron: 'tron' };
+
+function stixString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// STIX patterning expression for an indicator (null for types exported as other SDOs)
+function stixPattern({ type, value }) {
+    if (HASH_TYPES[type]) return `[file:hashes.'${HASH_TYPES[type]}' = ${stixString(value)}]`;
+    if (WALLET_TYPES[type]) return `[x-cryptocurrency-wallet:address = ${stixString(value)}]`;
+
+    switch (type) {
+        case 'ipv4':
+            return `[ipv4-addr:value = ${stixString(value.replace(/:\d+$/, ''))}]`;
+        case 'ipv6':
+            return `[ipv6-addr:value = ${stixString(value)}]`;
+        case 'domain':
+        case 'onion':
+            return `[domain-name:value = ${stixString(value.replace(/:\d+$/, ''))}]`;
+        case 'url':
+            return `[url:value = ${stixString(value)}]`;
+        case 'email':
+            return `[email-addr:value = ${stixString(value)}]`;
+        case 'handle':
+            return `[user-account:account_login = ${stixString(value.replace(/^@/, ''))} AND user-account:account_type = 'telegram']`;
+        default:
+            return null;
+    }
+}
+
+// STIX 2.1 bundle: an indicator per observable, a vulnerability per CVE
+function toStixBundle(iocs, { name = 'TelBot Translate' } = {}) {
+    const now = new Date().toISOString();
+    const objects = [];
+
+    for (const ioc of iocs) {
+        if (ioc.type === 'cve') {
+            objects.push({
+                type: 'vulnerability',
+                spec_version: '2.1',
+                id: `vulnerability--${crypto.randomUUID()}`,
+                created: now,
+                modified: now,
+                name: ioc.value,
+                external_references: [{ source_name: 'cve', external_id: ioc.value }]
+            });
+            continue;
+        }
+
+        const pattern = stixPattern(ioc);
+        if (!pattern) continue;
+        objects.push({
+            type: 'indicator',
+            spec_version: '2.1',
+            id: `indicator--${crypto.randomUUID()}`,
+            created: now,
+            modified: now,
+            name: `${ioc.type}: ${ioc.defanged}`,
+            description: `Extracted by ${name} (${ioc.sources.join(', ') || 'text'}, seen ${ioc.count}x)`,
+            indicator_types: ['unknown'],
+            pattern,
+            pattern_type: 'stix',
+            valid_from: now,
+            labels: [ioc.type]
+        });
+    }
+
+    return { type: 'bundle', id: `bundle--${crypto.randomUUID()}`, objects };
+}
+
+module.exports = { toStixBundle };
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Disk-backed translation cache
+//
+// Entries are keyed on a SHA-256 of (from, to, full text), so two messages that
+// only share an opening never collide. Each entry remembers which provider
+// produced it, when it was created and how often it was reused. The file is
+// written with a short debounce so bursts of translations cause one write.
+
+const SAVE_DEBOUNCE = 2000;
+const DAY = 24 * 60 * 60 * 1000;
+
+function hashKey(text, from, to) {
+    return crypto.createHash('sha256')
+        .update(`${from || 'auto'}\u0000${to}\u0000${text}`)
+        .digest('hex');
+}
+
+function createTranslationCache({ filePath, ttlDays = 7, maxEntries = 5000 }) {
+    let entries = new Map();
+    let stats = { hits: 0, misses: 0, since: Date.now() };
+    let ttl = ttlDays * DAY;
+    let limit = maxEntries;
+    let saveTimer = null;
+
+    // Load persisted cache (a corrupt file just starts an empty cache)
+    try {
+        if (fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            entries = new Map((data.entries || []).map(entry => [entry.key, entry]));
+            stats = { ...stats, ...data.stats };
+        }
+    } catch (error) {
+        console.error('Failed to load translation cache:', error.message);
+    }
+
+    function isExpired(entry, now = Date.now()) {
+        return ttl > 0 && now - entry.createdAt > ttl;
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            flush();
+        }, SAVE_DEBOUNCE);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, stats, entries: [...entries.values()] }));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            console.error('Failed to save translation cache:', error.message);
+        }
+    }
+
+    // Drop expired entries, then least recently used ones above the size limit
+    function prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [key, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(key);
+                removed++;
+            }
+        }
+
+        if (limit > 0 && entries.size > limit) {
+            const byAge = [...entries.values()].sort((a, b) => a.lastUsed - b.lastUsed);
+            for (const entry of byAge.slice(0, entries.size - limit)) {
+                entries.delete(entry.key);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    function get(text, from, to) {
+        const key = hashKey(text, from, to);
+        const entry = entries.get(key);
+
+        if (!entry || isExpired(entry)) {
+            if (entry) entries.delete(key);
+            stats.misses++;
+            scheduleSave();
+            return null;
+        }
+
+        entry.hits++;
+        entry.lastUsed = Date.now();
+        stats.hits++;
+        scheduleSave();
+
+        return {
+            success: true,
+            text: entry.translation,
+            service: entry.service,
+            provider: entry.provider,
+            detectedLang: entry.detectedLang,
+            detection: entry.detection || null,
+            cached: true
+        };
+    }
+
+    function set(text, from, to, result) {
+        const key = hashKey(text, from, to);
+        const now = Date.now();
+
+        // Re-insert so Map order stays roughly LRU
+        entries.delete(key);
+        entries.set(key, {
+            key,
+            from: from || 'auto',
+            to,
+            source: text,
+            translation: result.text,
+            service: result.service || null,
+            provider: result.provider || null,
+            detectedLang: result.detectedLang || null,
+            detection: result.detection || null,
+            createdAt: now,
+            lastUsed: now,
+            hits: 0
+        });
+
+        if (limit > 0 && entries.size > limit) {
+            prune();
+        }
+        scheduleSave();
+    }
+
+    function getStats() {
+        const byProvider = {};
+        let bytes = 0;
+
+        for (const entry of entries.values()) {
+            const provider = entry.provider || 'unknown';
+            byProvider[provider] = (byProvider[provider] || 0) + 1;
+            bytes += (entry.source.length + entry.translation.length) * 2;
+        }
+
+        const lookups = stats.hits + stats.misses;
+        return {
+            entries: entries.size,
+            maxEntries: limit,
+            ttlDays: ttl / DAY,
+            hits: stats.hits,
+            misses: stats.misses,
+            hitRate: lookups > 0 ? stats.hits / lookups : 0,
+            since: stats.since,
+            approxBytes: bytes,
+            byProvider
+        };
+    }
+
+    // Newest first, optionally filtered by text or provider
+    function list({ query = '', provider = null, limit: max = 50 } = {}) {
+        const needle = query.toLowerCase();
+        return [...entries.values()]
+            .filter(entry => !provider || entry.provider === provider)
+            .filter(entry => !needle ||
+                entry.source.toLowerCase().includes(needle) ||
+                entry.translation.toLowerCase().includes(needle))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, max);
+    }
+
+    function remove(key) {
+        const deleted = entries.delete(key);
+        if (deleted) scheduleSave();
+        return deleted;
+    }
+
+    // scope: 'expired' | 'all' | 'provider' | 'terms' (sources containing any of `terms`);
+    // entries without a provider are purged as provider 'unknown', as getStats() counts them
+    function purge({ scope = 'expired', provider = null, terms = [] } = {}) {
+        let removed = 0;
+
+        if (scope === 'all') {
+            removed = entries.size;
+            entries.clear();
+            stats = { hits: 0, misses: 0, since: Date.now() };
+        } else if (scope === 'provider') {
+            for (const [key, entry] of entries) {
+                if ((entry.provider || 'unknown') === provider) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+        } else if (scope === 'terms') {
+            const needles = terms.filter(Boolean).map(term => term.toLowerCase());
+            for (const [key, entry] of entries) {
+                const source = entry.source.toLowerCase();
+                if (needles.some(needle => source.includes(needle))) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+        } else {
+            removed = prune();
+        }
+
+        flush();
+        return removed;
+    }
+
+    function configure({ ttlDays: days, maxEntries: max }) {
+        if (days !== undefined && days >= 0) ttl = days * DAY;
+        if (max !== undefined && max >= 0) limit = max;
+        prune();
+        scheduleSave();
+    }
+
+    function exportTo(exportPath) {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            stats: getStats(),
+            entries: [...entries.values()]
+        };
+        fs.writeFileSync(exportPath, JSON.stringify(data, null, 2));
+        return entries.size;
+    }
+
+    prune();
+
+    return { get, set, getStats, list, remove, purge, configure, exportTo, flush };
+}
+
+module.exports = { createTranslationCache, hashKey };
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { findIocs } = require('../shared/ioc');
+const { exactKey, fold } = require('../shared/text-keys');
+
+// Translation memory, persisted as JSON in userData
+//
+// Unlike the cache (exact text + language pair, expiring), the memory keeps
+// translations of whole messages per target language to find repeats again:
+// bot channels post the same advert hundreds of times, often with a different
+// price, link or emoji. Exact repeats (ignoring whitespace) are found by key.
+// Near repeats are compared in a folded form (case, numbers, links, handles)
+// by the Dice coefficient of their character trigrams; candidates come from a
+// word index, so a lookup never scans the whole memory. Folding hides the
+// very values that differ between such repeats, so a near match is only safe
+// to reuse when its links, handles, numbers and IOCs are the same
+// (`sameValues`); otherwise the old ones would end up in the new translation.
+
+const SAVE_DEBOUNCE = 2000;
+const MAX_POSTINGS = 500;   // Words this common don't narrow the search down
+const MAX_CANDIDATES = 40;
+const MIN_FUZZY_LENGTH = 20; // Short texts differ too much by a single word
+
+// IOCs, links, handles and numbers of `text`, sorted
+function valuesOf(text) {
+    const iocs = findIocs(text);
+    const values = iocs.map(ioc => ioc.value);
+    let rest = '';
+    let lastIndex = 0;
+    for (const ioc of iocs) {
+        rest += text.slice(lastIndex, ioc.start) + ' ';
+        lastIndex = ioc.end;
+    }
+    rest += text.slice(lastIndex);
+    values.push(...(rest.match(/https?:\/\/\S+|www\.\S+|@\w+|\d+(?:[.,:]\d+)*/g) || []));
+    return values.sort();
+}
+
+function sameValues(a, b) {
+    const left = valuesOf(a);
+    const right = valuesOf(b);
+    return left.length === right.length && left.every((value, i) => value === right[i]);
+}
+
+function wordsOf(folded) {
+    return [...new Set(folded.match(/[\p{L}\p{N}]{3,}/gu) || [])];
+}
+
+function trigrams(folded) {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= folded.length; i++) grams.add(folded.slice(i, i + 3));
+    return grams;
+}
+
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const gram of a) {
+        if (b.has(gram)) shared++;
+    }
+    return (2 * shared) / (a.size + b.size);
+}
+
+function createTranslationMemory({ filePath, maxEntries = 20000 }) {
+    let entries = new Map(); // `${to}\u0000${exactKey}` -> entry
+    let index = new Map();   // `${to}\u0000${word}` -> Set of entry keys
+    let stats = { exactHits: 0, fuzzyHits: 0 };
+    let limit = maxEntries;
+    let saveTimer = null;
+
+    function indexEntry(key, entry) {
+        for (const word of wordsOf(fold(entry.source))) {
+            const indexKey = `${entry.to}\u0000${word}`;
+            if (!index.has(indexKey)) index.set(indexKey, new Set());
+            index.get(indexKey).add(key);
+        }
+    }
+
+    function unindexEntry(key, entry) {
+        for (const word of wordsOf(fold(entry.source))) {
+            index.get(`${entry.to}\u0000${word}`)?.delete(key);
+        }
+    }
+
+    // A corrupt file just starts an empty memory
+    try {
+        if (fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const entry of data.entries || []) {
+                const key = `${entry.to}\u0000${exactKey(entry.source)}`;
+                entries.set(key, entry);
+                indexEntry(key, entry);
+            }
+            stats = { ...stats, ...data.stats };
+        }
+    } catch (error) {
+        console.error('Failed to load translation memory:', error.message);
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            flush();
+        }, SAVE_DEBOUNCE);
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, stats, entries: [...entries.values()] }));
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            console.error('Failed to save translation memory:', error.message);
+        }
+    }
+
+    // Least recently used entries above the size limit go first
+    function prune() {
+        if (limit <= 0 || entries.size <= limit) return;
+        const byAge = [...entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        for (const [key, entry] of byAge.slice(0, entries.size - limit)) {
+            entries.delete(key);
+            unindexEntry(key, entry);
+        }
+    }
+
+    function use(entry) {
+        entry.uses++;
+        entry.lastUsed = Date.now();
+        scheduleSave();
+        return entry;
+    }
+
+    // Best stored translation of `text` into `to`:
+    // { match: 'exact', similarity: 1, entry } or { match: 'fuzzy', similarity, entry } at or above threshold
+    function lookup(text, to, { threshold = 0.9 } = {}) {
+        const exact = entries.get(`${to}\u0000${exactKey(text)}`);
+        if (exact) {
+            stats.exactHits++;
+            return { match: 'exact', similarity: 1, entry: use(exact) };
+        }
+
+        const folded = fold(text);
+        if (folded.length < MIN_FUZZY_LENGTH) return null;
+
+        // Candidates sharing the most (not too common) words
+        const shared = new Map();
+        for (const word of wordsOf(folded)) {
+            const postings = index.get(`${to}\u0000${word}`);
+            if (!postings || postings.size > MAX_POSTINGS) continue;
+            for (const key of postings) shared.set(key, (shared.get(key) || 0) + 1);
+        }
+        const candidates = [...shared.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_CANDIDATES)
+            .map(([key]) => entries.get(key))
+            .filter(Boolean);
+
+        const grams = trigrams(folded);
+        let best = null;
+        for (const entry of candidates) {
+            const candidate = fold(entry.source);
+            // Dice can't reach the threshold when the lengths differ too much
+            const ratio = Math.min(candidate.length, folded.length) / Math.max(candidate.length, folded.length);
+            if ((2 * ratio) / (1 + ratio) < threshold) continue;
+
+            const similarity = dice(grams, trigrams(candidate));
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { match: 'fuzzy', similarity, entry };
+            }
+        }
+
+        if (best) {
+            stats.fuzzyHits++;
+            use(best.entry);
+        }
+        return best;
+    }
+
+    function add(text, to, { translation, service = null, provider = null }) {
+        const key = `${to}\u0000${exactKey(text)}`;
+        const existing = entries.get(key);
+        if (existing) unindexEntry(key, existing);
+
+        const now = Date.now();
+        const entry = {
+            source: text,
+            to,
+            translation,
+            service,
+            provider,
+            uses: existing ? existing.uses : 0,
+            createdAt: existing ? existing.createdAt : now,
+            lastUsed: now
+        };
+        entries.set(key, entry);
+        indexEntry(key, entry);
+        prune();
+        scheduleSave();
+        return entry;
+    }
+
+    // Entries whose source contains any of `terms` (glossary edits), like the cache
+    function purgeTerms(terms) {
+        const needles = terms.filter(Boolean).map(term => term.toLowerCase());
+        let removed = 0;
+        for (const [key, entry] of entries) {
+            if (needles.some(needle => entry.source.toLowerCase().includes(needle))) {
+                entries.delete(key);
+                unindexEntry(key, entry);
+                removed++;
+            }
+        }
+        if (removed > 0) scheduleSave();
+        return removed;
+    }
+
+    function getStats() {
+        return { entries: entries.size, maxEntries: limit, ...stats };
+    }
+
+    function clear() {
+        const removed = entries.size;
+        entries = new Map();
+        index = new Map();
+        stats = { exactHits: 0, fuzzyHits: 0 };
+        scheduleSave();
+        return removed;
+    }
+
+    function configure({ maxEntries: newLimit }) {
+        if (newLimit !== undefined) limit = newLimit;
+        prune();
+        scheduleSave();
+    }
+
+    return { lookup, add, purgeTerms, getStats, clear, configure, flush };
+}
+
+module.exports = { createTranslationMemory, sameValues };
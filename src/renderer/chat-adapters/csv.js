@@ -0,0 +1,92 @@
+// Generic CSV / TSV chat logs (scraper dumps)
+//
+// The first row is a header; columns are matched by common names, so
+// "date,username,message" and "timestamp;sender;text" both work. Delimiter
+// is whichever of comma, semicolon or tab splits the header into the most
+// columns.
+
+const { parseCsv } = require('../../shared/csv');
+
+const COLUMN_NAMES = {
+    id: ['id', 'message_id', 'msg_id', 'messageid'],
+    date: ['date', 'datetime', 'timestamp', 'time', 'created_at', 'sent_at', 'date_time'],
+    author: ['author', 'from', 'sender', 'user', 'username', 'from_name', 'name', 'nickname'],
+    text: ['text', 'message', 'content', 'body', 'msg', 'message_text'],
+    replyTo: ['reply_to', 'reply_to_message_id', 'reply_to_id', 'in_reply_to']
+};
+
+function isTable(source) {
+    return /\.(csv|tsv)$/i.test(source.name);
+}
+
+function firstLine(content) {
+    return content.split(/\r?\n/, 1)[0];
+}
+
+function detectDelimiter(content) {
+    const header = firstLine(content);
+    return [',', ';', '\t']
+        .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+function mapColumns(header) {
+    const normalized = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const columns = {};
+    for (const [field, names] of Object.entries(COLUMN_NAMES)) {
+        const index = normalized.findIndex(name => names.includes(name));
+        if (index !== -1) columns[field] = index;
+    }
+    return columns;
+}
+
+// Ids are numeric in every format; anything else is left for the row number
+function normalizeId(value) {
+    const trimmed = (value || '').trim();
+    return /^\d+$/.test(trimmed) ? Number(trimmed) : undefined;
+}
+
+// Unix seconds or milliseconds -> ISO; anything else is kept as written
+function normalizeDate(value) {
+    const trimmed = (value || '').trim();
+    if (/^\d{10}$/.test(trimmed)) return new Date(Number(trimmed) * 1000).toISOString();
+    if (/^\d{13}$/.test(trimmed)) return new Date(Number(trimmed)).toISOString();
+    return trimmed;
+}
+
+function headerColumns(source) {
+    const header = parseCsv(firstLine(source.content), detectDelimiter(source.content))[0] || [];
+    return mapColumns(header);
+}
+
+function readTable(source) {
+    const rows = parseCsv(source.content, detectDelimiter(source.content));
+    const columns = mapColumns(rows[0] || []);
+    return { rows: rows.slice(1), columns };
+}
+
+module.exports = {
+    id: 'csv',
+    label: 'CSV chat log',
+
+    // Only sure of a table once it has a text column
+    detect(sources) {
+        return sources.some(source => isTable(source) && headerColumns(source).text !== undefined) ? 0.8 : 0;
+    },
+
+    parse(sources) {
+        const tables = sources.filter(isTable).map(readTable).filter(table => table.columns.text !== undefined);
+        const cell = (row, index) => (index === undefined ? '' : row[index] || '');
+
+        const messages = tables.flatMap(({ rows, columns }) => rows.map(row => ({
+            id: normalizeId(cell(row, columns.id)),
+            date: normalizeDate(cell(row, columns.date)),
+            author: cell(row, columns.author).trim(),
+            text: cell(row, columns.text),
+            replyTo: normalizeId(cell(row, columns.replyTo)) ?? null,
+            forwardedFrom: null
+        })));
+
+        return { name: sources.filter(isTable)[0].name.replace(/\.(csv|tsv)$/i, ''), messages };
+    }
+};
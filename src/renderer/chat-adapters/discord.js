@@ -0,0 +1,51 @@
+// DiscordChatExporter JSON export
+//
+// { guild: { name }, channel: { name, category }, messages: [{ id, type,
+// timestamp, content, author: { name, nickname }, reference, attachments }] }
+
+function findExports(sources, readJson) {
+    return sources.filter(source => {
+        if (!/\.json$/i.test(source.name)) return false;
+        const data = readJson(source);
+        return Boolean(data && data.channel && Array.isArray(data.messages));
+    });
+}
+
+function messageText(message) {
+    const attachments = (message.attachments || []).map(file => `[${file.fileName || 'attachment'}]`);
+    return [message.content || '', ...attachments].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    id: 'discord',
+    label: 'DiscordChatExporter JSON',
+
+    detect(sources, { readJson }) {
+        return findExports(sources, readJson).length > 0 ? 1 : 0;
+    },
+
+    // Several channel exports are merged by timestamp
+    parse(sources, { readJson }) {
+        const exports = findExports(sources, readJson).map(readJson);
+        const { guild, channel } = exports[0];
+        const messages = exports
+            .flatMap(data => data.messages)
+            .filter(message => message.type === 'Default' || message.type === 'Reply' || !message.type)
+            .map(message => ({
+                id: message.id,
+                date: message.timestamp,
+                author: message.author?.nickname || message.author?.name || 'Unknown',
+                text: messageText(message),
+                replyTo: message.reference?.messageId || null,
+                forwardedFrom: null
+            }))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        return {
+            name: exports.length === 1
+                ? [guild?.name, channel?.name ? `#${channel.name}` : null].filter(Boolean).join(' / ')
+                : `${guild?.name || 'Discord'} (${exports.length} channels)`,
+            messages
+        };
+    }
+};
@@ -0,0 +1,76 @@
+// Chat export adapters
+//
+// An adapter reads one kind of export into { name, messages }, with messages
+// in the chat view's model: { id, date, author, text } plus, where the format
+// has them, replyTo, forwardedFrom, media ({ type, detail }; text is then the
+// caption) and service (the description of a join, pin, ... with no text).
+// Sources are the picked or dropped files as { name, content };
+// `detect(sources)` scores how sure the adapter is that it can read them
+// (0 = not at all) and the best score wins.
+//
+// New formats only need an adapter registered here; rendering and
+// translation work on the normalised messages.
+
+const telegramJson = require('./telegram-json');
+const telegramHtml = require('./telegram-html');
+const discord = require('./discord');
+const whatsapp = require('./whatsapp');
+const csv = require('./csv');
+
+const adapters = [telegramJson, telegramHtml, discord, whatsapp, csv];
+
+// File extensions any adapter might read, for filtering folder contents
+const SUPPORTED_EXTENSIONS = /\.(json|html?|txt|csv|tsv)$/i;
+
+function registerAdapter(adapter) {
+    adapters.push(adapter);
+}
+
+// JSON sources are parsed once and shared between adapters' detect and parse
+function readJson(source) {
+    if (!('json' in source)) {
+        try {
+            source.json = JSON.parse(source.content);
+        } catch {
+            source.json = null;
+        }
+    }
+    return source.json;
+}
+
+function detectAdapter(sources) {
+    let best = null;
+    let bestScore = 0;
+    for (const adapter of adapters) {
+        const score = adapter.detect(sources, { readJson });
+        if (score > bestScore) {
+            best = adapter;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Sources -> { format, name, messages }; messages are numbered if the format has no ids
+function parseChatExport(sources) {
+    const adapter = detectAdapter(sources);
+    if (!adapter) {
+        throw new Error('Unrecognised chat export. Supported: ' + adapters.map(a => a.label).join(', '));
+    }
+
+    const { name, messages } = adapter.parse(sources, { readJson });
+    return {
+        format: adapter.label,
+        name,
+        messages: messages.map((message, index) => ({
+            ...message,
+            id: message.id ?? index + 1,
+            author: message.author || 'Unknown',
+            text: message.text || '',
+            media: message.media || null,
+            service: message.service || null
+        }))
+    };
+}
+
+module.exports = { parseChatExport, registerAdapter, detectAdapter, SUPPORTED_EXTENSIONS };
@@ -0,0 +1,251 @@
+// Telegram Desktop HTML export parser
+//
+// The default export format is a folder of paginated pages (messages.html,
+// messages2.html, ...). Each message is a div.message with an id of
+// "message<id>"; consecutive messages from the same author are marked
+// "joined" and omit the author, which may carry over from the previous page.
+// Messages are turned into the same model as the JSON export:
+// { id, date, author, text, entities, media, service, replyTo, forwardedFrom }.
+// Service events (joins, pins, ...) carry no date of their own and take the
+// previous message's; date separators have negative ids and are skipped.
+
+const { segment, trimEntities, plainText } = require('../rich-text');
+
+const PAGE_NAME = /^messages(\d*)\.html$/i;
+
+// "05.05.2023 14:03:11 UTC+03:00" (older exports omit the offset) -> ISO
+function parseExportDate(title) {
+    const match = /(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2}):(\d{2})(?: UTC([+-]\d{2}):?(\d{2}))?/.exec(title || '');
+    if (!match) return null;
+    const [, day, month, year, hours, minutes, seconds, offsetHours, offsetMinutes] = match;
+    const date = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+    return offsetHours ? `${date}${offsetHours}:${offsetMinutes}` : date;
+}
+
+// Page order: messages.html first, then messages2.html, messages3.html, ...
+function pageNumber(fileName) {
+    const match = PAGE_NAME.exec(fileName);
+    if (!match) return Infinity;
+    return match[1] ? parseInt(match[1], 10) : 1;
+}
+
+function isExportPage(fileName) {
+    return PAGE_NAME.test(fileName);
+}
+
+const FORMAT_TAGS = {
+    STRONG: 'bold',
+    B: 'bold',
+    EM: 'italic',
+    I: 'italic',
+    U: 'underline',
+    S: 'strikethrough',
+    STRIKE: 'strikethrough',
+    DEL: 'strikethrough',
+    CODE: 'code',
+    PRE: 'pre',
+    BLOCKQUOTE: 'blockquote'
+};
+
+// Entity type of a formatting element; links are told apart by their text and
+// the onclick handler Telegram uses for mentions, hashtags and bot commands
+function classify(element) {
+    if (FORMAT_TAGS[element.nodeName]) return { type: FORMAT_TAGS[element.nodeName] };
+    if (element.classList.contains('spoiler')) return { type: 'spoiler' };
+    if (element.nodeName !== 'A') return { type: 'plain' };
+
+    const text = element.textContent;
+    const href = element.getAttribute('href') || '';
+    const onclick = element.getAttribute('onclick') || '';
+    if (/ShowBotCommand/.test(onclick)) return { type: 'bot_command' };
+    if (text.startsWith('@')) return { type: 'mention' };
+    if (text.startsWith('#')) return { type: 'hashtag' };
+    if (text.startsWith('$')) return { type: 'cashtag' };
+    if (href.startsWith('mailto:')) return { type: 'email' };
+    if (!href) return { type: 'plain' };
+    if (href === text || href.replace(/^https?:\/\//, '') === text.replace(/^https?:\/\//, '')) return { type: 'link' };
+    return { type: 'text_link', href };
+}
+
+// Entities of a message's text element, with <br> as line breaks; nested
+// formatting keeps the outermost type
+function elementEntities(element) {
+    const entities = [];
+    const push = (text, format) => {
+        if (!text) return;
+        const last = entities[entities.length - 1];
+        if (last && format.type === 'plain' && last.type === 'plain') {
+            last.text += text;
+        } else {
+            entities.push(segment(format.type, text, format.href ? { href: format.href } : {}));
+        }
+    };
+    const walk = (node, format) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType === 3) {
+                push(child.textContent.replace(/[ \t]*\n[ \t]*/g, ' '), format);
+            } else if (child.nodeName === 'BR') {
+                push('\n', format);
+            } else if (child.nodeType === 1) {
+                walk(child, format.type === 'plain' ? classify(child) : format);
+            }
+        }
+    };
+
+    if (element) walk(element, { type: 'plain' });
+    return trimEntities(entities);
+}
+
+// Author name without the "via @bot" / date details Telegram appends
+function nameText(element) {
+    if (!element) return '';
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('.details, .date').forEach(detail => detail.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Media wrappers in the export markup -> media types of the message model
+const MEDIA_WRAPS = [
+    ['.photo_wrap', 'photo'],
+    ['.video_file_wrap', 'video'],
+    ['.animated_wrap', 'animation'],
+    ['.sticker_wrap', 'sticker'],
+    ['.media_voice_message', 'voice'],
+    ['.media_video', 'video_message'],
+    ['.media_audio_file', 'audio'],
+    ['.media_poll', 'poll'],
+    ['.media_location', 'location'],
+    ['.media_contact', 'contact'],
+    ['.media_file', 'file']
+];
+
+function mediaOf(body) {
+    const wrap = childOf(body, '.media_wrap');
+    if (!wrap) return null;
+    const match = MEDIA_WRAPS.find(([selector]) => wrap.querySelector(selector));
+    const title = wrap.querySelector('.media .title');
+    return {
+        type: match ? match[1] : 'file',
+        detail: match && ['file', 'audio', 'location', 'contact'].includes(match[1]) && title
+            ? title.textContent.trim() || null
+            : null
+    };
+}
+
+// Poll question and options as the message's text, so they get translated
+function pollText(body) {
+    const poll = body.querySelector('.media_poll');
+    if (!poll) return '';
+    const question = poll.querySelector('.question');
+    const answers = [...poll.querySelectorAll('.answer')].map(answer => `\u2022 ${answer.textContent.replace(/\s+/g, ' ').trim().replace(/^-\s*/, '')}`);
+    return [question ? question.textContent.trim() : '', ...answers].filter(Boolean).join('\n');
+}
+
+function childOf(parent, selector) {
+    return [...parent.children].find(child => child.matches(selector)) || null;
+}
+
+// Parse one page; `previousAuthor` and `previousDate` continue a "joined" run
+// and the dates of service messages from the page before
+function parseTelegramHtml(html, previousAuthor = null, previousDate = null) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const name = nameText(doc.querySelector('.page_header .text'));
+    const messages = [];
+    let author = previousAuthor;
+    let lastDate = previousDate;
+
+    for (const element of doc.querySelectorAll('.history > .message')) {
+        const id = parseInt(element.id.replace(/^message/, ''), 10);
+        const body = childOf(element, '.body');
+        if (!body || Number.isNaN(id) || id < 0) continue;
+
+        if (element.classList.contains('service')) {
+            const pinned = body.querySelector('a[href*="go_to_message"]');
+            const pinnedMatch = pinned && /go_to_message(\d+)/.exec(pinned.getAttribute('href'));
+            messages.push({
+                id,
+                date: lastDate,
+                author: 'Service',
+                text: '',
+                service: body.textContent.replace(/\s+/g, ' ').trim(),
+                replyTo: pinnedMatch ? parseInt(pinnedMatch[1], 10) : null,
+                forwardedFrom: null
+            });
+            continue;
+        }
+
+        const fromName = childOf(body, '.from_name');
+        if (fromName) {
+            author = nameText(fromName);
+        }
+        const reply = body.querySelector('.reply_to a[href*="go_to_message"]');
+        const replyMatch = reply && /go_to_message(\d+)/.exec(reply.getAttribute('href'));
+        const forwarded = childOf(body, '.forwarded');
+        const media = mediaOf(body) || (forwarded && mediaOf(forwarded));
+        const entities = media && media.type === 'poll'
+            ? [segment('plain', pollText(body))]
+            : elementEntities(childOf(body, '.text') || (forwarded && childOf(forwarded, '.text')));
+        lastDate = parseExportDate(childOf(body, '.date')?.getAttribute('title')) || lastDate;
+
+        messages.push({
+            id,
+            date: lastDate,
+            author: author || 'Unknown',
+            text: plainText(entities),
+            entities,
+            media,
+            replyTo: replyMatch ? parseInt(replyMatch[1], 10) : null,
+            forwardedFrom: forwarded ? nameText(childOf(forwarded, '.from_name')) || null : null
+        });
+    }
+
+    return { name, messages, lastAuthor: author, lastDate };
+}
+
+// Parse paginated pages ({ name, content }) into one chronological chat
+function parseTelegramHtmlPages(pages) {
+    const ordered = [...pages].sort((a, b) => pageNumber(a.name) - pageNumber(b.name) || a.name.localeCompare(b.name));
+    const byId = new Map();
+    let name = '';
+    let lastAuthor = null;
+    let lastDate = null;
+
+    for (const page of ordered) {
+        const parsed = parseTelegramHtml(page.content, lastAuthor, lastDate);
+        name = name || parsed.name;
+        lastAuthor = parsed.lastAuthor;
+        lastDate = parsed.lastDate;
+        // Overlapping pages (e.g. two exports of the same chat) keep the first copy
+        parsed.messages.forEach(message => {
+            if (!byId.has(message.id)) byId.set(message.id, message);
+        });
+    }
+
+    const messages = [...byId.values()].sort((a, b) => {
+        const byDate = new Date(a.date || 0) - new Date(b.date || 0);
+        return byDate || a.id - b.id;
+    });
+    return { name, messages };
+}
+
+function exportPages(sources) {
+    return sources.filter(source => /\.html?$/i.test(source.name) && source.content.includes('class="history"'));
+}
+
+module.exports = {
+    id: 'telegram-html',
+    label: 'Telegram HTML',
+
+    detect(sources) {
+        return exportPages(sources).length > 0 ? 0.9 : 0;
+    },
+
+    parse(sources) {
+        return parseTelegramHtmlPages(exportPages(sources));
+    },
+
+    parseTelegramHtml,
+    parseTelegramHtmlPages,
+    parseExportDate,
+    isExportPage
+};
@@ -0,0 +1,134 @@
+// Telegram Desktop machine-readable export (result.json)
+
+const { fromTelegramText, trimEntities, plainText } = require('../rich-text');
+
+const MEDIA_TYPES = {
+    sticker: 'sticker',
+    video_file: 'video',
+    animation: 'animation',
+    voice_message: 'voice',
+    video_message: 'video_message',
+    audio_file: 'audio'
+};
+
+// Attached media as { type, detail }, or null for a text-only message
+function mediaOf(m) {
+    if (m.photo) return { type: 'photo', detail: null };
+    if (m.media_type) {
+        const track = m.performer && m.title ? `${m.performer} \u2013 ${m.title}` : null;
+        return {
+            type: MEDIA_TYPES[m.media_type] || 'file',
+            detail: m.sticker_emoji || track || m.file_name || null
+        };
+    }
+    if (m.file) return { type: 'file', detail: m.file_name || null };
+    if (m.poll) return { type: 'poll', detail: null };
+    if (m.location_information) {
+        const { latitude, longitude } = m.location_information;
+        return { type: 'location', detail: m.place_name || `${latitude}, ${longitude}` };
+    }
+    if (m.contact_information) {
+        const { first_name: first, last_name: last, phone_number: phone } = m.contact_information;
+        return { type: 'contact', detail: [first, last, phone].filter(Boolean).join(' ') };
+    }
+    return null;
+}
+
+// Poll question and options are the message's text, so they get translated
+function pollText(poll) {
+    return [poll.question, ...(poll.answers || []).map(answer => `\u2022 ${answer.text}`)].join('\n');
+}
+
+// Service message -> one line for the timeline
+function describeAction(m) {
+    const actor = m.actor || 'Someone';
+    const members = (m.members || []).filter(Boolean).join(', ');
+    switch (m.action) {
+        case 'create_group':
+        case 'create_channel':
+            return `${actor} created "${m.title}"`;
+        case 'edit_group_title':
+            return `${actor} changed the title to "${m.title}"`;
+        case 'edit_group_photo':
+            return `${actor} changed the group photo`;
+        case 'delete_group_photo':
+            return `${actor} removed the group photo`;
+        case 'invite_members':
+            return members && members !== actor ? `${actor} added ${members}` : `${actor} joined`;
+        case 'remove_members':
+            return members && members !== actor ? `${actor} removed ${members}` : `${actor} left`;
+        case 'join_group_by_link':
+            return `${actor} joined via invite link`;
+        case 'join_group_by_request':
+            return `${actor} joined (request approved)`;
+        case 'pin_message':
+            return `${actor} pinned a message`;
+        case 'migrate_to_supergroup':
+        case 'migrate_from_group':
+            return 'Group converted to a supergroup';
+        case 'phone_call':
+        case 'group_call':
+            return `${actor} started a call`;
+        case 'clear_history':
+            return `${actor} cleared the history`;
+        default:
+            return `${actor}: ${(m.action || 'service event').replace(/_/g, ' ')}`;
+    }
+}
+
+function toMessage(m) {
+    if (m.type === 'service') {
+        return {
+            id: m.id,
+            date: m.date,
+            author: m.actor || 'Service',
+            text: '',
+            service: describeAction(m),
+            // A pin points at the pinned message like a reply does
+            replyTo: m.message_id || null,
+            forwardedFrom: null
+        };
+    }
+
+    const entities = m.poll
+        ? [{ type: 'plain', text: pollText(m.poll) }]
+        : trimEntities(fromTelegramText(m.text));
+    return {
+        id: m.id,
+        date: m.date,
+        author: m.from || m.actor || 'Unknown',
+        text: plainText(entities),
+        entities,
+        media: mediaOf(m),
+        replyTo: m.reply_to_message_id || null,
+        forwardedFrom: m.forwarded_from || null
+    };
+}
+
+function findExport(sources, readJson) {
+    return sources.find(source => {
+        if (!/\.json$/i.test(source.name)) return false;
+        const data = readJson(source);
+        return Boolean(data && Array.isArray(data.messages) && !data.guild && !data.channel);
+    });
+}
+
+module.exports = {
+    id: 'telegram-json',
+    label: 'Telegram JSON',
+
+    detect(sources, { readJson }) {
+        return findExport(sources, readJson) ? 1 : 0;
+    },
+
+    parse(sources, { readJson }) {
+        const data = readJson(findExport(sources, readJson));
+        return {
+            name: data.name,
+            messages: data.messages
+                .filter(m => m.type === 'message' || m.type === 'service')
+                .map(toMessage)
+                .filter(m => m.text || m.media || m.service)
+        };
+    }
+};
@@ -0,0 +1,107 @@
+// WhatsApp "Export chat" text file (_chat.txt / "WhatsApp Chat with X.txt")
+//
+// Android: "31/12/2022, 21:41 - Name: text"
+// iOS:     "[31/12/2022, 21:41:05] Name: text"
+// Lines that don't start with a timestamp continue the previous message.
+// Day/month order depends on the phone's locale, so it is inferred from the
+// whole file (a first field above 12 means day-first); system lines without
+// an author ("Messages are end-to-end encrypted") are skipped.
+
+const LINE = /^[\u200e\u200f]?\[?(\d{1,2})[./-](\d{1,2})[./-](\d{2,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(?:[\s\u202f]*([AaPp])\.?\s?[Mm]\.?)?\]?\s*(?:-\s*)?(.*)$/;
+
+function splitAuthor(rest) {
+    const separator = rest.indexOf(': ');
+    if (separator <= 0) return null;
+    return {
+        author: rest.slice(0, separator).replace(/[\u200e\u200f]/g, '').trim(),
+        text: rest.slice(separator + 2)
+    };
+}
+
+function isChatFile(source) {
+    if (!/\.txt$/i.test(source.name)) return false;
+    const lines = source.content.split(/\r?\n/, 20);
+    return lines.filter(line => LINE.test(line)).length >= Math.min(3, lines.filter(Boolean).length);
+}
+
+function inferDayFirst(entries) {
+    let dayFirst = null;
+    for (const { first, second } of entries) {
+        if (first > 12) return true;
+        if (second > 12) dayFirst = false;
+    }
+    return dayFirst ?? true;
+}
+
+function toIsoDate({ first, second, year, hours, minutes, seconds, meridiem }, dayFirst) {
+    const day = dayFirst ? first : second;
+    const month = dayFirst ? second : first;
+    const fullYear = year < 100 ? 2000 + year : year;
+    let hour = hours;
+    if (meridiem) {
+        const pm = meridiem.toLowerCase() === 'p';
+        hour = (hour % 12) + (pm ? 12 : 0);
+    }
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${fullYear}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+function parseChat(content) {
+    const entries = [];
+    let current = null;
+
+    for (const line of content.split(/\r?\n/)) {
+        const match = LINE.exec(line);
+        if (match) {
+            const [, first, second, year, hours, minutes, seconds, meridiem, rest] = match;
+            const split = splitAuthor(rest);
+            current = {
+                first: Number(first),
+                second: Number(second),
+                year: Number(year),
+                hours: Number(hours),
+                minutes: Number(minutes),
+                seconds: Number(seconds || 0),
+                meridiem,
+                author: split ? split.author : null,
+                text: split ? split.text : rest
+            };
+            entries.push(current);
+        } else if (current) {
+            current.text += `\n${line}`;
+        }
+    }
+
+    const dayFirst = inferDayFirst(entries);
+    return entries
+        .filter(entry => entry.author)
+        .map(entry => ({
+            date: toIsoDate(entry, dayFirst),
+            author: entry.author,
+            text: entry.text.replace(/[\u200e\u200f]/g, '').trim(),
+            replyTo: null,
+            forwardedFrom: null
+        }));
+}
+
+module.exports = {
+    id: 'whatsapp',
+    label: 'WhatsApp TXT',
+
+    detect(sources) {
+        return sources.some(isChatFile) ? 0.9 : 0;
+    },
+
+    parse(sources) {
+        const files = sources.filter(isChatFile);
+        const messages = files
+            .flatMap(source => parseChat(source.content))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        // "WhatsApp Chat with Alice.txt" -> "Alice"
+        const title = /^WhatsApp Chat (?:with|-)\s*(.+)\.txt$/i.exec(files[0].name);
+        return { name: title ? title[1] : 'WhatsApp Chat', messages };
+    },
+
+    parseChat
+};
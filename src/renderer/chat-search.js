@@ -0,0 +1,145 @@
+// Search and filters for the chat import view
+//
+// The search query is compiled once into a global RegExp (escaped unless
+// regex mode is on) and matched against original and/or translated text.
+// Filters come from the filter bar as { author, from, to, hasLink, hasIoc,
+// status }, with dates as YYYY-MM-DD in local time.
+//
+// Repeats are messages whose texts only differ in case, numbers, links and
+// handles (the translation memory's folded form); grouping shows each group
+// once, at its first message.
+
+const { findIocs } = require('../shared/ioc');
+const { fold } = require('../shared/text-keys');
+const { escapeHtml } = require('./rich-text');
+
+const LINK = /https?:\/\/|www\.|t\.me\//i;
+const LINK_TYPES = new Set(['link', 'text_link', 'email']);
+
+// Throws on an invalid regular expression; the caller shows the message
+function compileQuery(query, { regex = false, caseSensitive = false } = {}) {
+    if (!query) return null;
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+function matches(text, pattern) {
+    if (!text) return false;
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+}
+
+// scope: 'all' | 'original' | 'translated'
+function messageMatches(m, pattern, scope = 'all') {
+    if (scope !== 'translated' && (matches(m.text, pattern) || matches(m.service, pattern))) return true;
+    return scope !== 'original' && matches(m.translated, pattern);
+}
+
+function hasLink(m) {
+    return (m.entities || []).some(entity => LINK_TYPES.has(entity.type)) || LINK.test(m.text);
+}
+
+// The IOC scan is the expensive filter, so its result is kept until the texts change
+const iocCache = new WeakMap();
+
+function hasIoc(m) {
+    const cached = iocCache.get(m);
+    if (cached && cached.text === m.text && cached.translated === m.translated) return cached.value;
+    const value = findIocs(m.text).length > 0 || (Boolean(m.translated) && findIocs(m.translated).length > 0);
+    iocCache.set(m, { text: m.text, translated: m.translated, value });
+    return value;
+}
+
+// 'none' for service events and captionless media, which have nothing to translate
+function translationStatus(m) {
+    if (!m.text.trim()) return 'none';
+    if (!m.translated) return 'pending';
+    return m.translationError ? 'failed' : 'translated';
+}
+
+function isFiltering(filters) {
+    return Boolean(filters.author || filters.from || filters.to || filters.hasLink || filters.hasIoc || filters.status);
+}
+
+function filterMessages(messages, filters) {
+    if (!isFiltering(filters)) return messages;
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+    return messages.filter(m => {
+        if (filters.author && m.author !== filters.author) return false;
+        if (from || to) {
+            const date = new Date(m.date);
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+        }
+        if (filters.status && translationStatus(m) !== filters.status) return false;
+        if (filters.hasLink && !hasLink(m)) return false;
+        if (filters.hasIoc && !hasIoc(m)) return false;
+        return true;
+    });
+}
+
+// Escaped HTML of `text` with the matches of `pattern` wrapped in <mark>
+function highlightText(text, pattern) {
+    if (!pattern || !text) return escapeHtml(text || '');
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+        if (!match[0]) continue;
+        html += escapeHtml(text.slice(lastIndex, match.index)) + `<mark class="search-hit">${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+// Message id -> its group of repeats (messages in timeline order), for groups of two or more
+function groupRepeats(messages) {
+    const groups = new Map();
+    for (const m of messages) {
+        if (!m.text.trim()) continue;
+        const key = fold(m.text);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(m);
+    }
+
+    const byId = new Map();
+    for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        group.forEach(m => byId.set(String(m.id), group));
+    }
+    return byId;
+}
+
+// Only the first message of each group of repeats, except groups in `open`
+function collapseRepeats(messages, repeats, open) {
+    const shown = new Set();
+    return messages.filter(m => {
+        const group = repeats.get(String(m.id));
+        if (!group || open.has(group)) return true;
+        if (shown.has(group)) return false;
+        shown.add(group);
+        return true;
+    });
+}
+
+// Authors by message count, for the author filter
+function authorsByCount(messages) {
+    const counts = new Map();
+    for (const m of messages) {
+        if (!m.service) counts.set(m.author, (counts.get(m.author) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([author, count]) => ({ author, count }));
+}
+
+module.exports = {
+    compileQuery,
+    messageMatches,
+    filterMessages,
+    isFiltering,
+    translationStatus,
+    highlightText,
+    groupRepeats,
+    collapseRepeats,
+    authorsByCount
+};
@@ -1,5 +1,4 @@
 const { ipcRenderer } = require('electron');
-const Tesseract = require('tesseract.js');
 const fs = require('fs');
 
 // Translation is now handled via IPC to main process
@@ -8,7 +7,20 @@ const fs = require('fs');
 let currentMode = 'read';
 let settings = {};
 let ocrImageData = null;
+let ocrJobId = null; // Running OCR job in the main process, for progress and cancel
+let ocrProcessedPreview = null; // Preprocessed image shown on the "After" tab
+let ocrRuns = []; // Confidence of each extraction of the current image
+let ocrLayout = null; // { blocks, image } from the last extraction, for in-place translation
+let ocrTranslatedImage = null; // Original with translations painted over the text blocks
 let autoTranslateEnabled = true; // Auto-translate on clipboard change
+let providers = []; // Translation provider chain, in order
+let expandedProvider = null;
+let historyPinnedOnly = false;
+let historyEntries = []; // Entries currently shown in the history panel
+let providerStatus = []; // Health of each enabled provider (pushed by main)
+let glossaryEntries = []; // Entries currently shown in the glossary panel
+let iocEntries = []; // Indicators found in the current input/output
+let translationRequestId = 0; // Matches chunk progress events to the current translation
 
 
 // DOM Elements
@@ -38,11 +50,76 @@ const elements = {
     alwaysOnTopToggle: document.getElementById('alwaysOnTopToggle'),
     clipboardMonitoringToggle: document.getElementById('clipboardMonitoringToggle'),
     clipboardStatus: document.getElementById('clipboardStatus'),
+    providerList: document.getElementById('providerList'),
+    providerHealth: document.getElementById('providerHealth'),
+    cacheStats: document.getElementById('cacheStats'),
+    cacheProviders: document.getElementById('cacheProviders'),
+    cacheTtlInput: document.getElementById('cacheTtlInput'),
+    cacheMaxInput: document.getElementById('cacheMaxInput'),
+    cacheSearch: document.getElementById('cacheSearch'),
+    cacheEntries: document.getElementById('cacheEntries'),
+    cacheExportBtn: document.getElementById('cacheExportBtn'),
+    cachePurgeExpiredBtn: document.getElementById('cachePurgeExpiredBtn'),
+    cacheClearBtn: document.getElementById('cacheClearBtn'),
+    memorySuggestion: document.getElementById('memorySuggestion'),
+    memoryStats: document.getElementById('memoryStats'),
+    memoryToggle: document.getElementById('memoryToggle'),
+    memoryAutoApplyToggle: document.getElementById('memoryAutoApplyToggle'),
+    memoryThresholdInput: document.getElementById('memoryThresholdInput'),
+    memoryClearBtn: document.getElementById('memoryClearBtn'),
+    ocrLanguages: document.getElementById('ocrLanguages'),
+    clipboardImageOcrToggle: document.getElementById('clipboardImageOcrToggle'),
+    clipboardOcrLangs: document.getElementById('clipboardOcrLangs'),
+    inputSourceImage: document.getElementById('inputSourceImage'),
+    inputSourceThumb: document.getElementById('inputSourceThumb'),
+    inputSourceInfo: document.getElementById('inputSourceInfo'),
+    ocrAllowDownloadToggle: document.getElementById('ocrAllowDownloadToggle'),
+    ocrLangPath: document.getElementById('ocrLangPath'),
+    ocrLangPathBtn: document.getElementById('ocrLangPathBtn'),
+    ocrLangPathClearBtn: document.getElementById('ocrLangPathClearBtn'),
+    historyBtn: document.getElementById('historyBtn'),
+    historyPanel: document.getElementById('historyPanel'),
+    closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+    historySearch: document.getElementById('historySearch'),
+    historyPinnedFilter: document.getElementById('historyPinnedFilter'),
+    historyList: document.getElementById('historyList'),
+    historyExportJsonBtn: document.getElementById('historyExportJsonBtn'),
+    historyExportCsvBtn: document.getElementById('historyExportCsvBtn'),
+    historyClearBtn: document.getElementById('historyClearBtn'),
+    glossaryBtn: document.getElementById('glossaryBtn'),
+    glossaryPanel: document.getElementById('glossaryPanel'),
+    closeGlossaryBtn: document.getElementById('closeGlossaryBtn'),
+    glossaryTerm: document.getElementById('glossaryTerm'),
+    glossaryTranslation: document.getElementById('glossaryTranslation'),
+    glossaryFrom: document.getElementById('glossaryFrom'),
+    glossaryTo: document.getElementById('glossaryTo'),
+    glossaryCaseSensitive: document.getElementById('glossaryCaseSensitive'),
+    glossaryAddBtn: document.getElementById('glossaryAddBtn'),
+    glossarySearch: document.getElementById('glossarySearch'),
+    glossaryList: document.getElementById('glossaryList'),
+    glossaryImportBtn: document.getElementById('glossaryImportBtn'),
+    glossaryExportBtn: document.getElementById('glossaryExportBtn'),
+    iocBtn: document.getElementById('iocBtn'),
+    iocPanel: document.getElementById('iocPanel'),
+    closeIocBtn: document.getElementById('closeIocBtn'),
+    iocTypeFilter: document.getElementById('iocTypeFilter'),
+    iocDefangedToggle: document.getElementById('iocDefangedToggle'),
+    iocList: document.getElementById('iocList'),
+    iocCopyAllBtn: document.getElementById('iocCopyAllBtn'),
+    iocExportCsvBtn: document.getElementById('iocExportCsvBtn'),
+    iocExportJsonBtn: document.getElementById('iocExportJsonBtn'),
+    iocExportStixBtn: document.getElementById('iocExportStixBtn'),
     ocrModal: document.getElementById('ocrModal'),
     ocrFromClipboard: document.getElementById('ocrFromClipboard'),
     ocrFromFile: document.getElementById('ocrFromFile'),
     ocrPreview: document.getElementById('ocrPreview'),
     ocrPreviewImage: document.getElementById('ocrPreviewImage'),
+    ocrPreviewMeta: document.getElementById('ocrPreviewMeta'),
+    ocrPreprocessSteps: document.getElementById('ocrPreprocessSteps'),
+    ocrRuns: document.getElementById('ocrRuns'),
+    ocrImageActions: document.getElementById('ocrImageActions'),
+    ocrTranslateImageBtn: document.getElementById('ocrTranslateImageBtn'),
+    ocrExportImageBtn: document.getElementById('ocrExportImageBtn'),
     ocrProgress: document.getElementById('ocrProgress'),
     ocrProgressFill: document.getElementById('ocrProgressFill'),
     ocrProgressText: document.getElementById('ocrProgressText'),
@@ -59,13 +136,32 @@ const languageNames = {
     'zh-CN': 'Chinese (Simplified)', 'zh-TW': 'Chinese (Traditional)',
     'uk': 'Ukrainian', 'ko': 'Korean', 'ja': 'Japanese',
     'ar': 'Arabic', 'fa': 'Persian', 'hi': 'Hindi',
-    'de': 'German', 'fr': 'French', 'es': 'Spanish', 'pt': 'Portuguese'
+    'de': 'German', 'fr': 'French', 'es': 'Spanish', 'pt': 'Portuguese',
+    // Also reported by the offline language detector
+    'be': 'Belarusian', 'kk': 'Kazakh', 'bg': 'Bulgarian', 'sr': 'Serbian',
+    'mk': 'Macedonian', 'mn': 'Mongolian', 'it': 'Italian', 'nl': 'Dutch',
+    'pl': 'Polish', 'cs': 'Czech', 'ro': 'Romanian', 'tr': 'Turkish',
+    'vi': 'Vietnamese', 'id': 'Indonesian', 'sv': 'Swedish', 'uz': 'Uzbek',
+    'ur': 'Urdu', 'ps': 'Pashto', 'mr': 'Marathi', 'ne': 'Nepali',
+    'el': 'Greek', 'hy': 'Armenian', 'he': 'Hebrew', 'bn': 'Bengali',
+    'pa': 'Punjabi', 'gu': 'Gujarati', 'ta': 'Tamil', 'te': 'Telugu',
+    'kn': 'Kannada', 'ml': 'Malayalam', 'th': 'Thai', 'lo': 'Lao',
+    'ka': 'Georgian', 'km': 'Khmer', 'my': 'Burmese', 'am': 'Amharic'
 };
 
+function languageName(code) {
+    return languageNames[code] || code.toUpperCase();
+}
+
 // Initialize
 async function init() {
     settings = await ipcRenderer.invoke('get-settings');
+    providers = await ipcRenderer.invoke('get-providers');
+    providerStatus = await ipcRenderer.invoke('get-provider-status');
     applySettings();
+    renderProviders();
+    renderProviderStatus();
+    setInterval(renderProviderStatus, 1000); // Keeps cooldown countdowns current
     setupEventListeners();
     setupIPCListeners();
 }
@@ -76,6 +172,19 @@ function applySettings() {
     elements.alwaysOnTopToggle.checked = settings.alwaysOnTop ?? true;
     elements.clipboardMonitoringToggle.checked = settings.clipboardMonitoring ?? true;
     updateClipboardStatus(settings.clipboardMonitoring ?? true);
+    elements.cacheTtlInput.value = settings.cacheTtlDays ?? 7;
+    elements.cacheMaxInput.value = settings.cacheMaxEntries ?? 5000;
+    elements.memoryToggle.checked = settings.translationMemory ?? true;
+    elements.memoryAutoApplyToggle.checked = settings.tmAutoApply ?? false;
+    elements.memoryThresholdInput.value = Math.round((settings.tmThreshold ?? 0.9) * 100);
+    elements.ocrAllowDownloadToggle.checked = settings.ocrAllowDownload ?? true;
+    elements.clipboardImageOcrToggle.checked = settings.clipboardImageOcr ?? false;
+    elements.clipboardOcrLangs.value = settings.clipboardOcrLangs || 'rus+chi_sim+eng';
+    elements.ocrLangPath.textContent = settings.ocrLangPath || 'No custom folder';
+    const preprocess = settings.ocrPreprocess || {};
+    elements.ocrPreprocessSteps.querySelectorAll('input').forEach(input => {
+        input.checked = Boolean(preprocess[input.value]);
+    });
 }
 
 function setupEventListeners() {
@@ -92,6 +201,14 @@ function setupEventListeners() {
         };
     }
 
+    // Live screen translation - open the overlay window
+    const overlayModeBtn = document.getElementById('overlayModeBtn');
+    if (overlayModeBtn) {
+        overlayModeBtn.onclick = () => {
+            ipcRenderer.send('open-overlay');
+        };
+    }
+
     // Language swap
     elements.swapLangBtn.onclick = swapLanguages;
 
@@ -105,6 +222,7 @@ function setupEventListeners() {
     elements.pasteBtn.onclick = async () => {
         const text = await ipcRenderer.invoke('get-clipboard');
         if (text) {
+            hideInputSourceImage();
             elements.inputText.value = text;
             elements.inputCharCount.textContent = text.length;
             showToast('Pasted from clipboard', 'success');
@@ -112,9 +230,11 @@ function setupEventListeners() {
     };
 
     elements.clearInputBtn.onclick = () => {
+        hideInputSourceImage();
         elements.inputText.value = '';
         elements.inputCharCount.textContent = '0';
         elements.outputText.innerHTML = '<span class="placeholder-text">Translation will appear here...</span>';
+        showMemorySuggestion(null);
         elements.detectedLang.classList.add('hidden');
     };
 
@@ -134,10 +254,7 @@ function setupEventListeners() {
     elements.ocrFromClipboard.onclick = async () => {
         const imageData = await ipcRenderer.invoke('get-clipboard-image');
         if (imageData) {
-            ocrImageData = imageData;
-            elements.ocrPreviewImage.src = imageData;
-            elements.ocrPreview.classList.remove('hidden');
-            elements.startOcrBtn.disabled = false;
+            setOcrImage(imageData);
         } else {
             showToast('No image in clipboard', 'error');
         }
@@ -150,17 +267,46 @@ function setupEventListeners() {
             const base64 = imageBuffer.toString('base64');
             const ext = filePath.split('.').pop().toLowerCase();
             const mimeType = { 'png': 'image/png', 'jpg': 'image/jpeg', 'jpeg': 'image/jpeg', 'gif': 'image/gif', 'webp': 'image/webp' }[ext] || 'image/png';
-            ocrImageData = `data:${mimeType};base64,${base64}`;
-            elements.ocrPreviewImage.src = ocrImageData;
-            elements.ocrPreview.classList.remove('hidden');
-            elements.startOcrBtn.disabled = false;
+            setOcrImage(`data:${mimeType};base64,${base64}`);
         }
     };
 
     elements.startOcrBtn.onclick = performOCR;
 
+    elements.ocrPreprocessSteps.onchange = async () => {
+        const preprocess = getOcrPreprocess();
+        settings.ocrPreprocess = preprocess;
+        await ipcRenderer.invoke('set-setting', { key: 'ocrPreprocess', value: preprocess });
+        refreshOcrPreview();
+    };
+
+    elements.ocrPreview.onclick = (e) => {
+        const tab = e.target.closest('.ocr-preview-tab');
+        if (tab && !tab.disabled) showOcrPreview(tab.dataset.view);
+    };
+
+    elements.ocrTranslateImageBtn.onclick = translateOcrImage;
+
+    elements.ocrExportImageBtn.onclick = async () => {
+        if (!ocrTranslatedImage) return;
+        const filePath = await ipcRenderer.invoke('save-annotated-image', ocrTranslatedImage);
+        if (filePath) {
+            showToast('Translated image saved ✓', 'success');
+        }
+    };
+
     // Settings
-    elements.settingsBtn.onclick = () => elements.settingsPanel.classList.toggle('hidden');
+    elements.settingsBtn.onclick = () => {
+        elements.settingsPanel.classList.toggle('hidden');
+        elements.historyPanel.classList.add('hidden');
+        elements.glossaryPanel.classList.add('hidden');
+        elements.iocPanel.classList.add('hidden');
+        if (!elements.settingsPanel.classList.contains('hidden')) {
+            refreshCacheView();
+            refreshMemoryStats();
+            refreshOcrStatus();
+        }
+    };
     elements.closeSettingsBtn.onclick = () => elements.settingsPanel.classList.add('hidden');
 
     elements.opacitySlider.oninput = async (e) => {
@@ -178,6 +324,15 @@ function setupEventListeners() {
         updateClipboardStatus(e.target.checked);
     };
 
+    setupProviderListeners();
+    setupCacheListeners();
+    setupMemoryListeners();
+    setupOcrListeners();
+    setupHistoryListeners();
+    setupGlossaryListeners();
+    setupIocListeners();
+    setupProviderStatusListeners();
+
     // Auto-translate toggle
     const autoTranslateToggle = document.getElementById('autoTranslateToggle');
     if (autoTranslateToggle) {
@@ -199,9 +354,15 @@ function setupEventListeners() {
     });
 }
 
+function hideInputSourceImage() {
+    elements.inputSourceImage.classList.add('hidden');
+    elements.inputSourceThumb.src = '';
+}
+
 function setupIPCListeners() {
     ipcRenderer.on('clipboard-changed', async (event, text) => {
         if (text && text.trim()) {
+            hideInputSourceImage();
             elements.inputText.value = text;
             elements.inputCharCount.textContent = text.length;
 
@@ -215,6 +376,29 @@ function setupIPCListeners() {
         }
     });
 
+    // Text read from an image copied to the clipboard goes through the same auto-translate flow
+    ipcRenderer.on('clipboard-image-ocr', async (event, { status, text, confidence, thumbnail, error }) => {
+        if (status === 'started') {
+            showToast('🖼 Reading text from copied image...', 'success');
+        } else if (status === 'empty') {
+            showToast('No text found in copied image', 'error');
+        } else if (status === 'error') {
+            showToast('Clipboard OCR failed: ' + error, 'error');
+        } else if (status === 'done') {
+            elements.inputText.value = text;
+            elements.inputCharCount.textContent = text.length;
+            elements.inputSourceThumb.src = thumbnail;
+            elements.inputSourceInfo.textContent = `From copied image · OCR confidence ${Math.round(confidence)}%`;
+            elements.inputSourceImage.classList.remove('hidden');
+
+            if (autoTranslateEnabled) {
+                await performTranslation();
+            } else {
+                showToast('🖼 Text extracted from copied image', 'success');
+            }
+        }
+    });
+
     ipcRenderer.on('quick-translate', async (event, { text, mode }) => {
         if (mode === 'read') {
             setMode('read');
@@ -229,6 +413,18 @@ function setupIPCListeners() {
         }
     });
 
+    // Long texts are translated in chunks; show how far along we are
+    ipcRenderer.on('translation-progress', (event, { requestId, done, total }) => {
+        if (requestId !== translationRequestId || total < 2) return;
+        elements.outputText.innerHTML =
+            `<span class="placeholder-text">Translating long text... ${done}/${total} chunks</span>`;
+    });
+
+    ipcRenderer.on('provider-status', (event, status) => {
+        providerStatus = status;
+        renderProviderStatus();
+    });
+
     ipcRenderer.on('trigger-ocr', () => {
         elements.ocrModal.classList.remove('hidden');
     });
@@ -241,6 +437,563 @@ function setupIPCListeners() {
     });
 }
 
+// Provider chain settings
+const PROVIDER_FIELD_LABELS = {
+    baseUrl: 'Base URL',
+    apiKey: 'API Key',
+    timeout: 'Timeout (ms)'
+};
+
+function renderProviders() {
+    elements.providerList.innerHTML = providers.map((p, i) => `
+        <div class="provider-item ${p.enabled ? '' : 'disabled'}" data-index="${i}">
+            <div class="provider-row">
+                <label class="toggle-switch">
+                    <input type="checkbox" data-action="toggle" ${p.enabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                </label>
+                <span class="provider-name">${escapeHtml(p.name)}</span>
+                <button class="provider-btn" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+                <button class="provider-btn" data-action="down" title="Move down" ${i === providers.length - 1 ? 'disabled' : ''}>▼</button>
+                <button class="provider-btn" data-action="configure" title="Configure">⚙</button>
+            </div>
+            ${expandedProvider === p.id ? `
+            <div class="provider-config">
+                ${p.fields.map(field => `
+                <label>${PROVIDER_FIELD_LABELS[field]}
+                    <input data-field="${field}" type="${field === 'timeout' ? 'number' : field === 'apiKey' ? 'password' : 'text'}"
+                        value="${escapeHtml(String(p[field] ?? ''))}">
+                </label>`).join('')}
+            </div>` : ''}
+        </div>
+    `).join('');
+}
+
+async function saveProviders() {
+    providers = await ipcRenderer.invoke('set-providers', providers);
+    renderProviders();
+}
+
+function setupProviderListeners() {
+    elements.providerList.onclick = async (e) => {
+        const action = e.target.dataset.action;
+        const item = e.target.closest('.provider-item');
+        if (!action || !item || action === 'toggle') return;
+
+        const index = parseInt(item.dataset.index, 10);
+        if (action === 'configure') {
+            expandedProvider = expandedProvider === providers[index].id ? null : providers[index].id;
+            renderProviders();
+            return;
+        }
+
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= providers.length) return;
+        [providers[index], providers[target]] = [providers[target], providers[index]];
+        await saveProviders();
+    };
+
+    elements.providerList.onchange = async (e) => {
+        const item = e.target.closest('.provider-item');
+        if (!item) return;
+        const provider = providers[parseInt(item.dataset.index, 10)];
+
+        if (e.target.dataset.action === 'toggle') {
+            provider.enabled = e.target.checked;
+            if (!providers.some(p => p.enabled)) {
+                showToast('At least one provider should stay enabled', 'error');
+            }
+        } else if (e.target.dataset.field) {
+            provider[e.target.dataset.field] = e.target.value;
+        } else {
+            return;
+        }
+
+        await saveProviders();
+        showToast(`${provider.name} settings saved`, 'success');
+    };
+}
+
+// Provider health indicator in the status bar
+function describeHealth(status, now) {
+    const remaining = status.availableAt > now ? Math.ceil((status.availableAt - now) / 1000) : 0;
+    let text = status.circuit === 'open' ? 'circuit open' : status.health;
+    if (remaining > 0) text += `, retry in ${remaining}s`;
+    if (status.lastError) text += ` (${status.lastError})`;
+    return { text, remaining };
+}
+
+function renderProviderStatus() {
+    const now = Date.now();
+    elements.providerHealth.innerHTML = providerStatus.map(status => {
+        const { text, remaining } = describeHealth(status, now);
+        const instanceLines = (status.instances || []).map(instance =>
+            `\n  ${instance.label}: ${describeHealth(instance, now).text}`
+        ).join('');
+        return `
+            <span class="provider-health-item" data-id="${escapeHtml(status.id)}"
+                title="${escapeHtml(`${status.name}: ${text}${instanceLines}\nClick to reset`)}">
+                <span class="indicator-dot ${status.health}"></span>
+                ${remaining > 0 ? `<span>${remaining}s</span>` : ''}
+            </span>`;
+    }).join('');
+}
+
+function setupProviderStatusListeners() {
+    elements.providerHealth.onclick = async (e) => {
+        const item = e.target.closest('.provider-health-item');
+        if (!item) return;
+        providerStatus = await ipcRenderer.invoke('reset-provider', item.dataset.id);
+        renderProviderStatus();
+        showToast('Provider state reset', 'success');
+    };
+}
+
+// Translation history
+async function refreshHistory() {
+    const entries = await ipcRenderer.invoke('history-list', {
+        query: elements.historySearch.value,
+        pinnedOnly: historyPinnedOnly
+    });
+
+    historyEntries = entries;
+
+    if (entries.length === 0) {
+        elements.historyList.innerHTML = '<span class="placeholder-text">No translations yet</span>';
+        return;
+    }
+
+    elements.historyList.innerHTML = entries.map(entry => {
+        const fromLabel = entry.from === 'auto' && entry.detectedLang
+            ? `${entry.detectedLang} (auto)`
+            : entry.from;
+        return `
+        <div class="history-item ${entry.pinned ? 'pinned' : ''}" data-id="${entry.id}">
+            <div class="history-item-meta">
+                <span>${new Date(entry.timestamp).toLocaleString()} · ${escapeHtml(fromLabel)} → ${escapeHtml(entry.to)} · ${escapeHtml(entry.service || '')} · ${entry.mode === 'write' ? '✍️' : '📖'}</span>
+                <span class="history-item-actions">
+                    <button class="provider-btn pin-btn ${entry.pinned ? 'active' : ''}" data-action="pin" title="${entry.pinned ? 'Unstar' : 'Star'}">★</button>
+                    <button class="provider-btn" data-action="retranslate" title="Re-translate">↻</button>
+                    <button class="provider-btn" data-action="copy" title="Copy translation">📋</button>
+                    <button class="provider-btn" data-action="delete" title="Delete">✕</button>
+                </span>
+            </div>
+            <div class="history-item-source">${escapeHtml(entry.source)}</div>
+            <div class="history-item-translation">${escapeHtml(entry.translation)}</div>
+        </div>`;
+    }).join('');
+}
+
+function setupHistoryListeners() {
+    elements.historyBtn.onclick = () => {
+        elements.historyPanel.classList.toggle('hidden');
+        elements.settingsPanel.classList.add('hidden');
+        elements.glossaryPanel.classList.add('hidden');
+        elements.iocPanel.classList.add('hidden');
+        if (!elements.historyPanel.classList.contains('hidden')) {
+            refreshHistory();
+            elements.historySearch.focus();
+        }
+    };
+    elements.closeHistoryBtn.onclick = () => elements.historyPanel.classList.add('hidden');
+
+    elements.historySearch.oninput = () => refreshHistory();
+
+    elements.historyPinnedFilter.onclick = () => {
+        historyPinnedOnly = !historyPinnedOnly;
+        elements.historyPinnedFilter.classList.toggle('active', historyPinnedOnly);
+        refreshHistory();
+    };
+
+    elements.historyList.onclick = async (e) => {
+        const action = e.target.dataset.action;
+        const item = e.target.closest('.history-item');
+        if (!action || !item) return;
+
+        const entry = historyEntries.find(h => h.id === item.dataset.id);
+        if (!entry) return;
+
+        if (action === 'pin') {
+            await ipcRenderer.invoke('history-update', { id: entry.id, changes: { pinned: !entry.pinned } });
+            refreshHistory();
+        } else if (action === 'copy') {
+            await ipcRenderer.invoke('set-clipboard', entry.translation);
+            showToast('Copied to clipboard! ✓', 'success');
+        } else if (action === 'delete') {
+            await ipcRenderer.invoke('history-delete', entry.id);
+            refreshHistory();
+        } else if (action === 'retranslate') {
+            setMode(entry.mode === 'write' ? 'write' : 'read');
+            elements.sourceLang.value = entry.from;
+            elements.targetLang.value = entry.to;
+            elements.inputText.value = entry.source;
+            elements.inputCharCount.textContent = entry.source.length;
+            elements.historyPanel.classList.add('hidden');
+            await performTranslation({ bypassCache: true });
+        }
+    };
+
+    const exportHistory = async (format) => {
+        const result = await ipcRenderer.invoke('history-export', {
+            format,
+            query: elements.historySearch.value,
+            pinnedOnly: historyPinnedOnly
+        });
+        if (result) {
+            showToast(`Exported ${result.count} translations`, 'success');
+        }
+    };
+    elements.historyExportJsonBtn.onclick = () => exportHistory('json');
+    elements.historyExportCsvBtn.onclick = () => exportHistory('csv');
+
+    elements.historyClearBtn.onclick = async () => {
+        if (!confirm('Clear history? Starred translations are kept.')) return;
+        const removed = await ipcRenderer.invoke('history-clear', { keepPinned: true });
+        showToast(`Removed ${removed} translations`, 'success');
+        refreshHistory();
+    };
+}
+
+// Glossary: do-not-translate terms and forced translations
+async function refreshGlossary() {
+    const entries = await ipcRenderer.invoke('glossary-list', { query: elements.glossarySearch.value });
+    glossaryEntries = entries;
+
+    if (entries.length === 0) {
+        elements.glossaryList.innerHTML = '<span class="placeholder-text">No glossary terms yet</span>';
+        return;
+    }
+
+    const pairLabel = (code) => code === '*' ? 'any' : code;
+    elements.glossaryList.innerHTML = entries.map(entry => `
+        <div class="history-item" data-id="${entry.id}">
+            <div class="history-item-meta">
+                <span>${escapeHtml(pairLabel(entry.from))} → ${escapeHtml(pairLabel(entry.to))}${entry.note ? ' · ' + escapeHtml(entry.note) : ''}</span>
+                <span class="history-item-actions">
+                    <button class="provider-btn pin-btn ${entry.caseSensitive ? 'active' : ''}" data-action="case" title="${entry.caseSensitive ? 'Case-sensitive' : 'Case-insensitive'}">Aa</button>
+                    <button class="provider-btn" data-action="delete" title="Delete">✕</button>
+                </span>
+            </div>
+            <div>
+                <span class="glossary-item-term">${escapeHtml(entry.term)}</span>
+                → ${entry.translation
+                    ? escapeHtml(entry.translation)
+                    : '<span class="glossary-item-keep">keep as is</span>'}
+            </div>
+        </div>`).join('');
+}
+
+function setupGlossaryListeners() {
+    // Language pickers mirror the target list, plus "any"
+    const options = '<option value="*">Any</option>' + elements.targetLang.innerHTML;
+    elements.glossaryFrom.innerHTML = options;
+    elements.glossaryTo.innerHTML = options;
+
+    elements.glossaryBtn.onclick = () => {
+        elements.glossaryPanel.classList.toggle('hidden');
+        elements.settingsPanel.classList.add('hidden');
+        elements.historyPanel.classList.add('hidden');
+        elements.iocPanel.classList.add('hidden');
+        if (!elements.glossaryPanel.classList.contains('hidden')) {
+            refreshGlossary();
+            elements.glossaryTerm.focus();
+        }
+    };
+    elements.closeGlossaryBtn.onclick = () => elements.glossaryPanel.classList.add('hidden');
+
+    elements.glossarySearch.oninput = () => refreshGlossary();
+
+    const addTerm = async () => {
+        const term = elements.glossaryTerm.value.trim();
+        if (!term) {
+            showToast('Enter a term first', 'error');
+            return;
+        }
+
+        await ipcRenderer.invoke('glossary-add', {
+            term,
+            translation: elements.glossaryTranslation.value,
+            from: elements.glossaryFrom.value,
+            to: elements.glossaryTo.value,
+            caseSensitive: elements.glossaryCaseSensitive.checked
+        });
+        elements.glossaryTerm.value = '';
+        elements.glossaryTranslation.value = '';
+        elements.glossaryTerm.focus();
+        refreshGlossary();
+    };
+    elements.glossaryAddBtn.onclick = addTerm;
+    elements.glossaryTranslation.onkeydown = (e) => {
+        if (e.key === 'Enter') addTerm();
+    };
+
+    elements.glossaryList.onclick = async (e) => {
+        const action = e.target.dataset.action;
+        const item = e.target.closest('.history-item');
+        if (!action || !item) return;
+
+        const entry = glossaryEntries.find(g => g.id === item.dataset.id);
+        if (!entry) return;
+
+        if (action === 'case') {
+            await ipcRenderer.invoke('glossary-update', { id: entry.id, changes: { caseSensitive: !entry.caseSensitive } });
+        } else if (action === 'delete') {
+            await ipcRenderer.invoke('glossary-delete', entry.id);
+        }
+        refreshGlossary();
+    };
+
+    elements.glossaryImportBtn.onclick = async () => {
+        try {
+            const result = await ipcRenderer.invoke('glossary-import');
+            if (result) {
+                showToast(`Imported ${result.added} new, ${result.updated} updated terms`, 'success');
+                refreshGlossary();
+            }
+        } catch (error) {
+            showToast('Import failed: ' + error.message, 'error');
+        }
+    };
+
+    elements.glossaryExportBtn.onclick = async () => {
+        const result = await ipcRenderer.invoke('glossary-export');
+        if (result) {
+            showToast(`Exported ${result.count} terms`, 'success');
+        }
+    };
+}
+
+// Indicators of compromise in the current original and translated text
+async function refreshIocs() {
+    const output = elements.outputText.querySelector('.placeholder-text') ? '' : elements.outputText.textContent;
+    iocEntries = await ipcRenderer.invoke('ioc-extract', [
+        { text: elements.inputText.value, source: 'original' },
+        { text: output, source: 'translation' }
+    ]);
+
+    // Type filter only offers types that are present
+    const selected = elements.iocTypeFilter.value;
+    const types = [...new Set(iocEntries.map(ioc => ioc.type))];
+    elements.iocTypeFilter.innerHTML = '<option value="">All types</option>' +
+        types.map(type => `<option value="${type}">${type.toUpperCase()}</option>`).join('');
+    elements.iocTypeFilter.value = types.includes(selected) ? selected : '';
+
+    renderIocs();
+}
+
+function visibleIocs() {
+    const type = elements.iocTypeFilter.value;
+    return iocEntries.filter(ioc => !type || ioc.type === type);
+}
+
+function renderIocs() {
+    const iocs = visibleIocs();
+    if (iocs.length === 0) {
+        elements.iocList.innerHTML = '<span class="placeholder-text">No indicators found</span>';
+        return;
+    }
+
+    const defanged = elements.iocDefangedToggle.checked;
+    const sourceLabel = { original: 'orig', translation: 'trans' };
+    elements.iocList.innerHTML = iocs.map((ioc, index) => `
+        <div class="history-item ioc-item" data-index="${index}">
+            <span class="ioc-type">${ioc.type}</span>
+            <span class="ioc-value">${escapeHtml(defanged ? ioc.defanged : ioc.value)}</span>
+            <span class="ioc-meta" title="Seen ${ioc.count}x">${ioc.sources.map(source => sourceLabel[source] || source).join('+')}</span>
+            <button class="provider-btn" data-action="copy" title="Copy">📋</button>
+        </div>`).join('');
+}
+
+function setupIocListeners() {
+    elements.iocBtn.onclick = () => {
+        elements.iocPanel.classList.toggle('hidden');
+        elements.settingsPanel.classList.add('hidden');
+        elements.historyPanel.classList.add('hidden');
+        elements.glossaryPanel.classList.add('hidden');
+        if (!elements.iocPanel.classList.contains('hidden')) {
+            refreshIocs();
+        }
+    };
+    elements.closeIocBtn.onclick = () => elements.iocPanel.classList.add('hidden');
+
+    elements.iocTypeFilter.onchange = () => renderIocs();
+    elements.iocDefangedToggle.onchange = () => renderIocs();
+
+    elements.iocList.onclick = async (e) => {
+        if (e.target.dataset.action !== 'copy') return;
+        const ioc = visibleIocs()[Number(e.target.closest('.ioc-item').dataset.index)];
+        if (!ioc) return;
+        await ipcRenderer.invoke('set-clipboard', elements.iocDefangedToggle.checked ? ioc.defanged : ioc.value);
+        showToast('Copied to clipboard! ✓', 'success');
+    };
+
+    elements.iocCopyAllBtn.onclick = async () => {
+        const iocs = visibleIocs();
+        if (iocs.length === 0) return;
+        const defanged = elements.iocDefangedToggle.checked;
+        await ipcRenderer.invoke('set-clipboard', iocs.map(ioc => defanged ? ioc.defanged : ioc.value).join('\n'));
+        showToast(`Copied ${iocs.length} indicators ✓`, 'success');
+    };
+
+    const exportIocs = async (format) => {
+        const iocs = visibleIocs();
+        if (iocs.length === 0) {
+            showToast('No indicators to export', 'error');
+            return;
+        }
+        const result = await ipcRenderer.invoke('ioc-export', { iocs, format });
+        if (result) {
+            showToast(`Exported ${result.count} indicators`, 'success');
+        }
+    };
+    elements.iocExportCsvBtn.onclick = () => exportIocs('csv');
+    elements.iocExportJsonBtn.onclick = () => exportIocs('json');
+    elements.iocExportStixBtn.onclick = () => exportIocs('stix');
+}
+
+// Translation cache management
+async function refreshCacheView() {
+    const stats = await ipcRenderer.invoke('cache-stats');
+    const hitRate = Math.round(stats.hitRate * 100);
+    const sizeKb = Math.round(stats.approxBytes / 1024);
+    elements.cacheStats.textContent =
+        `${stats.entries} / ${stats.maxEntries} entries (~${sizeKb} KB) · ${stats.hits} hits, ${stats.misses} misses (${hitRate}%)`;
+
+    const providerNames = Object.fromEntries(providers.map(p => [p.id, p.name]));
+    elements.cacheProviders.innerHTML = Object.entries(stats.byProvider).map(([id, count]) =>
+        `<button class="cache-provider-chip" data-provider="${escapeHtml(id)}" data-name="${escapeHtml(providerNames[id] || id)}" title="Purge entries from this provider">
+            ${escapeHtml(providerNames[id] || id)}: ${count}
+        </button>`
+    ).join('');
+
+    const entries = await ipcRenderer.invoke('cache-entries', { query: elements.cacheSearch.value, limit: 20 });
+    elements.cacheEntries.innerHTML = entries.length === 0
+        ? '<div class="settings-hint">No cached translations</div>'
+        : entries.map(entry => `
+            <div class="cache-entry">
+                <div class="cache-entry-text">
+                    <div class="cache-entry-source">${escapeHtml(entry.source)}</div>
+                    <div>${escapeHtml(entry.translation)}</div>
+                    <div class="cache-entry-meta">${escapeHtml(entry.from)} → ${escapeHtml(entry.to)} · ${escapeHtml(entry.service || 'unknown')} · ${entry.hits} hits · ${new Date(entry.createdAt).toLocaleString()}</div>
+                </div>
+                <button class="provider-btn" data-key="${entry.key}" title="Remove from cache">✕</button>
+            </div>
+        `).join('');
+}
+
+function setupCacheListeners() {
+    elements.cacheTtlInput.onchange = async (e) => {
+        const value = Math.max(0, parseInt(e.target.value, 10) || 0);
+        await ipcRenderer.invoke('set-setting', { key: 'cacheTtlDays', value });
+        refreshCacheView();
+    };
+
+    elements.cacheMaxInput.onchange = async (e) => {
+        const value = Math.max(100, parseInt(e.target.value, 10) || 100);
+        await ipcRenderer.invoke('set-setting', { key: 'cacheMaxEntries', value });
+        refreshCacheView();
+    };
+
+    elements.cacheSearch.oninput = () => refreshCacheView();
+
+    elements.cacheEntries.onclick = async (e) => {
+        const key = e.target.dataset.key;
+        if (!key) return;
+        await ipcRenderer.invoke('cache-delete', key);
+        refreshCacheView();
+    };
+
+    elements.cacheProviders.onclick = async (e) => {
+        const chip = e.target.closest('.cache-provider-chip');
+        if (!chip) return;
+        if (!confirm(`Remove all cached translations from ${chip.dataset.name}?`)) return;
+        const removed = await ipcRenderer.invoke('cache-purge', { scope: 'provider', provider: chip.dataset.provider });
+        showToast(`Removed ${removed} cached translations`, 'success');
+        refreshCacheView();
+    };
+
+    elements.cacheExportBtn.onclick = async () => {
+        const result = await ipcRenderer.invoke('cache-export');
+        if (result) {
+            showToast(`Exported ${result.count} cached translations`, 'success');
+        }
+    };
+
+    elements.cachePurgeExpiredBtn.onclick = async () => {
+        const removed = await ipcRenderer.invoke('cache-purge', { scope: 'expired' });
+        showToast(`Purged ${removed} expired entries`, 'success');
+        refreshCacheView();
+    };
+
+    elements.cacheClearBtn.onclick = async () => {
+        if (!confirm('Clear the entire translation cache?')) return;
+        const removed = await ipcRenderer.invoke('cache-purge', { scope: 'all' });
+        showToast(`Cleared ${removed} cached translations`, 'success');
+        refreshCacheView();
+    };
+}
+
+// Translation memory settings
+async function refreshMemoryStats() {
+    const stats = await ipcRenderer.invoke('memory-stats');
+    elements.memoryStats.textContent =
+        `${stats.entries} / ${stats.maxEntries} translations · ${stats.exactHits} exact, ${stats.fuzzyHits} near matches found`;
+}
+
+function setupMemoryListeners() {
+    elements.memoryToggle.onchange = async (e) => {
+        await ipcRenderer.invoke('set-setting', { key: 'translationMemory', value: e.target.checked });
+    };
+
+    elements.memoryAutoApplyToggle.onchange = async (e) => {
+        await ipcRenderer.invoke('set-setting', { key: 'tmAutoApply', value: e.target.checked });
+    };
+
+    elements.memoryThresholdInput.onchange = async (e) => {
+        const percent = Math.min(100, Math.max(50, parseInt(e.target.value, 10) || 90));
+        e.target.value = percent;
+        await ipcRenderer.invoke('set-setting', { key: 'tmThreshold', value: percent / 100 });
+    };
+
+    elements.memoryClearBtn.onclick = async () => {
+        if (!confirm('Clear the translation memory?')) return;
+        const removed = await ipcRenderer.invoke('memory-clear');
+        showToast(`Cleared ${removed} remembered translations`, 'success');
+        refreshMemoryStats();
+    };
+
+    // "Use" on a near-match suggestion replaces the fresh translation with the remembered one
+    elements.memorySuggestion.onclick = (e) => {
+        if (!e.target.closest('[data-action="use"]')) return;
+        elements.outputText.textContent = elements.memorySuggestion.dataset.text;
+        elements.memorySuggestion.classList.add('hidden');
+    };
+}
+
+function showMemorySuggestion(suggestion) {
+    if (!suggestion) {
+        elements.memorySuggestion.classList.add('hidden');
+        return;
+    }
+    elements.memorySuggestion.dataset.text = suggestion.text;
+    elements.memorySuggestion.innerHTML = `
+        <div class="memory-suggestion-header">
+            <span>🧠 ${Math.round(suggestion.similarity * 100)}% match in translation memory</span>
+            <button class="action-btn" data-action="use" title="Use the remembered translation">Use</button>
+        </div>
+        ${suggestion.valuesDiffer ? '<div class="memory-suggestion-warning">⚠️ Links, handles, numbers or IOCs differ from this text</div>' : ''}
+        <div class="memory-suggestion-source">${escapeHtml(suggestion.source)}</div>
+        <div>${escapeHtml(suggestion.text)}</div>
+    `;
+    elements.memorySuggestion.classList.remove('hidden');
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function setMode(mode) {
     currentMode = mode;
 
@@ -272,7 +1025,7 @@ function swapLanguages() {
     }
 }
 
-async function performTranslation() {
+async function performTranslation({ bypassCache = false } = {}) {
     const text = elements.inputText.value.trim();
     if (!text) {
         showToast('Please enter text to translate', 'error');
@@ -283,30 +1036,60 @@ async function performTranslation() {
     const target = elements.targetLang.value;
 
     setLoading(true);
+    const requestId = ++translationRequestId;
 
     try {
         // Use IPC to translate via main process
         const result = await ipcRenderer.invoke('translate-text', {
             text,
             from: source,
-            to: target
+            to: target,
+            bypassCache: bypassCache === true,
+            requestId
         });
 
         if (result.success) {
             // Clear and set text content (preserves line breaks and formatting)
             elements.outputText.textContent = result.text;
+            showMemorySuggestion(result.memorySuggestion);
+
+            await ipcRenderer.invoke('history-add', {
+                source: text,
+                translation: result.text,
+                from: source,
+                to: target,
+                detectedLang: result.detectedLang,
+                service: result.service,
+                provider: result.provider,
+                mode: currentMode
+            });
+            if (!elements.historyPanel.classList.contains('hidden')) {
+                refreshHistory();
+            }
+            if (!elements.iocPanel.classList.contains('hidden')) {
+                refreshIocs();
+            }
 
             if (result.detectedLang) {
-                const detectedName = languageNames[result.detectedLang] || result.detectedLang.toUpperCase();
-                elements.detectedLangValue.textContent = detectedName;
-                elements.detectedLang.classList.remove('hidden');
+                showDetectedLanguage(result);
+            } else {
+                elements.detectedLang.classList.add('hidden');
             }
 
-            // Show which service was used
+            // Show which service was used; remembered translations say which text they came from
             const serviceInfo = result.service ? ` (via ${result.service})` : '';
-            showToast(`Translation complete! ✓${serviceInfo}`, 'success');
+            const memoryInfo = result.memory?.match === 'fuzzy' ? ' — check it against the new text' : '';
+            const chunkInfo = result.chunks > 1 ? ` in ${result.chunks} chunks` : '';
+            if (result.lostTokens?.length > 0) {
+                // The provider dropped IOCs/glossary terms; the output cannot be trusted as-is
+                const lost = result.lostTokens.map(token => token.value).join(', ');
+                showToast(`⚠️ ${result.lostTokens.length} protected item(s) lost in translation: ${lost}`, 'error');
+            } else {
+                showToast(`Translation complete${chunkInfo}! ✓${serviceInfo}${memoryInfo}`, 'success');
+            }
         } else {
             elements.outputText.innerHTML = `<span style="color: var(--accent-red);">Error: ${result.error}</span>`;
+            showMemorySuggestion(null);
             
             // Provide better user feedback for rate limiting
             if (result.error && (result.error.includes('cooldown') || 
@@ -327,33 +1110,295 @@ async function performTranslation() {
 }
 
 
+// Language chips show which OCR languages are available offline
+async function refreshOcrStatus() {
+    const status = await ipcRenderer.invoke('ocr-status');
+    elements.ocrLanguages.innerHTML = status.languages.map(lang => `
+        <span class="ocr-language-chip${lang.installed ? ' installed' : ''}"
+              title="${lang.installed ? `Installed (${lang.source})` : 'Not installed'}">${escapeHtml(lang.code)}</span>
+    `).join('');
+}
+
+function setupOcrListeners() {
+    elements.clipboardImageOcrToggle.onchange = async (e) => {
+        await ipcRenderer.invoke('set-setting', { key: 'clipboardImageOcr', value: e.target.checked });
+        showToast(e.target.checked ? '🖼 Copied images will be OCR\'d' : '⏸️ Copied images ignored', 'success');
+    };
+
+    elements.clipboardOcrLangs.onchange = async (e) => {
+        await ipcRenderer.invoke('set-setting', { key: 'clipboardOcrLangs', value: e.target.value });
+    };
+
+    elements.ocrAllowDownloadToggle.onchange = async (e) => {
+        await ipcRenderer.invoke('set-setting', { key: 'ocrAllowDownload', value: e.target.checked });
+    };
+
+    elements.ocrLangPathBtn.onclick = async () => {
+        const folder = await ipcRenderer.invoke('choose-ocr-lang-path');
+        if (folder) {
+            elements.ocrLangPath.textContent = folder;
+            refreshOcrStatus();
+        }
+    };
+
+    elements.ocrLangPathClearBtn.onclick = async () => {
+        await ipcRenderer.invoke('set-setting', { key: 'ocrLangPath', value: '' });
+        elements.ocrLangPath.textContent = 'No custom folder';
+        refreshOcrStatus();
+    };
+
+    ipcRenderer.on('ocr-progress', (event, { jobId, status, progress }) => {
+        if (jobId !== ocrJobId) return;
+        if (status === 'recognizing text') {
+            const percent = Math.round(progress * 100);
+            elements.ocrProgressFill.style.width = `${percent}%`;
+            elements.ocrProgressText.textContent = `Recognizing... ${percent}%`;
+        } else {
+            elements.ocrProgressText.textContent = status;
+        }
+    });
+}
+
+function getOcrPreprocess() {
+    const preprocess = {};
+    elements.ocrPreprocessSteps.querySelectorAll('input').forEach(input => {
+        preprocess[input.value] = input.checked;
+    });
+    return preprocess;
+}
+
+function setOcrImage(imageData) {
+    ocrImageData = imageData;
+    ocrProcessedPreview = null;
+    ocrRuns = [];
+    resetOcrLayout();
+    renderOcrRuns();
+    elements.ocrPreview.classList.remove('hidden');
+    elements.startOcrBtn.disabled = false;
+    refreshOcrPreview();
+}
+
+function showOcrPreview(view) {
+    const images = { before: ocrImageData, after: ocrProcessedPreview, translated: ocrTranslatedImage };
+    const shown = images[view] ? view : 'before';
+    elements.ocrPreviewImage.src = images[shown];
+    elements.ocrPreview.querySelectorAll('.ocr-preview-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === shown);
+        tab.disabled = !images[tab.dataset.view];
+    });
+}
+
+function resetOcrLayout() {
+    ocrLayout = null;
+    ocrTranslatedImage = null;
+    elements.ocrImageActions.classList.add('hidden');
+    elements.ocrExportImageBtn.disabled = true;
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image'));
+        image.src = src;
+    });
+}
+
+// Average colour of the pixels just outside a box, used to cover the original text
+function sampleBackground(context, { x0, y0, x1, y1 }) {
+    const { width, height } = context.canvas;
+    const left = Math.max(0, x0 - 2);
+    const top = Math.max(0, y0 - 2);
+    const right = Math.min(width - 1, x1 + 2);
+    const bottom = Math.min(height - 1, y1 + 2);
+    const pixels = context.getImageData(left, top, right - left + 1, bottom - top + 1);
+
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    for (let y = 0; y < pixels.height; y++) {
+        for (let x = 0; x < pixels.width; x++) {
+            if (y !== 0 && y !== pixels.height - 1 && x !== 0 && x !== pixels.width - 1) continue;
+            const i = (y * pixels.width + x) * 4;
+            r += pixels.data[i];
+            g += pixels.data[i + 1];
+            b += pixels.data[i + 2];
+            count++;
+        }
+    }
+    return count ? { r: r / count, g: g / count, b: b / count } : { r: 255, g: 255, b: 255 };
+}
+
+function wrapText(context, text, maxWidth) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && context.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+    }
+    return lines;
+}
+
+// Paint each block's translation over its box, shrinking the font until it fits
+async function paintTranslations(src, blocks) {
+    const image = await loadImage(src);
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+
+    const MIN_FONT = 8;
+    for (const block of blocks) {
+        if (!block.translation) continue;
+        const { x0, y0, x1, y1 } = block.bbox;
+        const width = x1 - x0;
+        const height = y1 - y0;
+
+        const background = sampleBackground(context, block.bbox);
+        const luminance = 0.299 * background.r + 0.587 * background.g + 0.114 * background.b;
+        context.fillStyle = `rgb(${Math.round(background.r)}, ${Math.round(background.g)}, ${Math.round(background.b)})`;
+        context.fillRect(x0 - 1, y0 - 1, width + 2, height + 2);
+
+        let fontSize = Math.max(MIN_FONT, Math.round(block.lineHeight * 0.8));
+        const layoutLines = () => {
+            context.font = `${fontSize}px Inter, -apple-system, sans-serif`;
+            return wrapText(context, block.translation, width);
+        };
+        let lines = layoutLines();
+        while (lines.length * fontSize * 1.2 > height && fontSize > MIN_FONT) {
+            fontSize--;
+            lines = layoutLines();
+        }
+
+        context.fillStyle = luminance > 140 ? '#000000' : '#ffffff';
+        context.textBaseline = 'top';
+        lines.forEach((line, index) => {
+            context.fillText(line, x0, y0 + index * fontSize * 1.2, width);
+        });
+    }
+    return canvas.toDataURL('image/png');
+}
+
+async function translateOcrImage() {
+    if (!ocrLayout || ocrLayout.blocks.length === 0) return;
+    const layout = ocrLayout;
+
+    elements.ocrTranslateImageBtn.disabled = true;
+    elements.ocrPreviewMeta.textContent = `Translating ${layout.blocks.length} text blocks...`;
+    try {
+        const result = await ipcRenderer.invoke('ocr-translate-blocks', {
+            blocks: layout.blocks,
+            from: elements.sourceLang.value,
+            to: elements.targetLang.value
+        });
+        if (layout !== ocrLayout) return; // Another image or extraction meanwhile
+
+        ocrTranslatedImage = await paintTranslations(layout.image, result.blocks);
+        elements.ocrExportImageBtn.disabled = false;
+        elements.ocrPreviewMeta.textContent = result.failed > 0
+            ? `${result.failed} of ${result.blocks.length} blocks failed to translate`
+            : `${result.blocks.length} blocks translated`;
+        showOcrPreview('translated');
+    } catch (error) {
+        console.error('Image translation error:', error);
+        showToast('Image translation failed: ' + error.message, 'error');
+    } finally {
+        elements.ocrTranslateImageBtn.disabled = false;
+    }
+}
+
+// Render the preprocessed image so the user can judge the settings before extracting
+async function refreshOcrPreview() {
+    if (!ocrImageData) return;
+    const preprocess = getOcrPreprocess();
+    const image = ocrImageData;
+
+    if (!Object.values(preprocess).some(Boolean)) {
+        ocrProcessedPreview = null;
+        elements.ocrPreviewMeta.textContent = '';
+        showOcrPreview('before');
+        return;
+    }
+
+    elements.ocrPreviewMeta.textContent = 'Processing...';
+    const result = await ipcRenderer.invoke('ocr-preprocess', { image, preprocess });
+    if (image !== ocrImageData) return; // Another image was loaded meanwhile
+
+    if (result.success) {
+        ocrProcessedPreview = result.preview;
+        elements.ocrPreviewMeta.textContent = result.applied.join(', ') || 'No change';
+        showOcrPreview('after');
+    } else {
+        ocrProcessedPreview = null;
+        elements.ocrPreviewMeta.textContent = result.error;
+        showOcrPreview('before');
+    }
+}
+
+// Every extraction of the current image, best confidence highlighted
+function renderOcrRuns() {
+    elements.ocrRuns.classList.toggle('hidden', ocrRuns.length === 0);
+    const best = Math.max(...ocrRuns.map(run => run.confidence));
+    elements.ocrRuns.innerHTML = ocrRuns.map(run => `
+        <div class="ocr-run${ocrRuns.length > 1 && run.confidence === best ? ' best' : ''}">
+            <span class="ocr-run-confidence">${Math.round(run.confidence)}%</span>
+            <span>${escapeHtml(run.lang)} · ${escapeHtml(run.applied.join(', ') || 'no preprocessing')}</span>
+        </div>
+    `).join('');
+}
+
 async function performOCR() {
     if (!ocrImageData) return;
 
     const lang = elements.ocrLang.value;
+    const jobId = `ocr-main-${Date.now()}`;
+    ocrJobId = jobId;
 
     elements.ocrProgress.classList.remove('hidden');
+    elements.ocrProgressText.textContent = 'Waiting for OCR worker...';
     elements.startOcrBtn.disabled = true;
 
     try {
-        const result = await Tesseract.recognize(ocrImageData, lang, {
-            logger: (m) => {
-                if (m.status === 'recognizing text') {
-                    const progress = Math.round(m.progress * 100);
-                    elements.ocrProgressFill.style.width = `${progress}%`;
-                    elements.ocrProgressText.textContent = `Recognizing... ${progress}%`;
-                } else {
-                    elements.ocrProgressText.textContent = m.status;
-                }
-            }
+        const result = await ipcRenderer.invoke('ocr-recognize', {
+            image: ocrImageData,
+            langs: lang,
+            jobId,
+            preprocess: getOcrPreprocess()
         });
+        if (ocrJobId !== jobId) return; // Cancelled while running
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        ocrRuns.push({ confidence: result.confidence, applied: result.applied, lang });
+        renderOcrRuns();
+
+        // Text blocks with their boxes, for translating the image in place
+        resetOcrLayout();
+        if (result.blocks.length > 0) {
+            ocrLayout = { blocks: result.blocks, image: result.layoutImage || ocrImageData };
+            elements.ocrImageActions.classList.remove('hidden');
+        }
+        showOcrPreview(elements.ocrPreview.querySelector('.ocr-preview-tab.active')?.dataset.view);
 
-        const extractedText = result.data.text.trim();
+        // The dialog stays open so other preprocessing settings can be compared
+        const extractedText = result.text.trim();
         if (extractedText) {
             elements.inputText.value = extractedText;
             elements.inputCharCount.textContent = extractedText.length;
-            showToast('Text extracted successfully! ✓', 'success');
-            closeOcrModal();
+            showToast(`Text extracted (confidence ${Math.round(result.confidence)}%) ✓`, 'success');
+            elements.cancelOcrBtn.textContent = 'Done';
         } else {
             showToast('No text found in image', 'error');
         }
@@ -361,18 +1406,49 @@ async function performOCR() {
         console.error('OCR error:', error);
         showToast('OCR failed: ' + error.message, 'error');
     } finally {
-        elements.ocrProgress.classList.add('hidden');
-        elements.ocrProgressFill.style.width = '0%';
-        elements.startOcrBtn.disabled = false;
+        if (ocrJobId === jobId) {
+            ocrJobId = null;
+            elements.ocrProgress.classList.add('hidden');
+            elements.ocrProgressFill.style.width = '0%';
+            elements.startOcrBtn.disabled = false;
+        }
     }
 }
 
 function closeOcrModal() {
+    if (ocrJobId) {
+        ipcRenderer.invoke('ocr-cancel', ocrJobId);
+        ocrJobId = null;
+    }
     elements.ocrModal.classList.add('hidden');
     elements.ocrPreview.classList.add('hidden');
     elements.ocrProgress.classList.add('hidden');
+    elements.ocrProgressFill.style.width = '0%';
     elements.startOcrBtn.disabled = true;
+    elements.cancelOcrBtn.textContent = 'Cancel';
     ocrImageData = null;
+    ocrProcessedPreview = null;
+    ocrRuns = [];
+    resetOcrLayout();
+    renderOcrRuns();
+}
+
+// "Detected: Ukrainian (87%)" with the runner-up candidates in the tooltip
+function showDetectedLanguage(result) {
+    const detection = result.detection;
+    let label = languageName(result.detectedLang);
+    let tooltip = '';
+
+    if (detection && detection.lang === result.detectedLang) {
+        label += ` (${Math.round(detection.confidence * 100)}%)`;
+        tooltip = detection.candidates
+            .map(c => `${languageName(c.lang)}: ${Math.round(c.confidence * 100)}%`)
+            .join('\n');
+    }
+
+    elements.detectedLangValue.textContent = label;
+    elements.detectedLang.title = tooltip;
+    elements.detectedLang.classList.remove('hidden');
 }
 
 function setLoading(loading) {
@@ -0,0 +1,204 @@
+// Telegram rich text (entities)
+//
+// A message's text is kept as a list of segments, the shape of Telegram's
+// export: [{ type: 'plain' | 'bold' | 'text_link' | 'code' | ..., text, href }].
+//
+// For translation, segments become one string with private-use marker
+// characters around them. The main process shields markers like any other
+// protected span, so providers never see them. Formatting segments (bold,
+// links with a label, ...) are translated between an open and a close marker;
+// atomic segments (code, URLs, mentions, hashtags, ...) are replaced by a
+// single marker and put back verbatim.
+
+const ATOMIC_TYPES = new Set([
+    'code', 'pre', 'link', 'mention', 'mention_name', 'hashtag', 'cashtag',
+    'bot_command', 'email', 'phone', 'bank_card', 'custom_emoji'
+]);
+const MARKER_BASE = 0xE000;
+const MARKER_LIMIT = 0xF8FF;
+const MARKER = /[\uE000-\uF8FF]/g;
+
+function isMarker(char) {
+    const code = char.charCodeAt(0);
+    return code >= MARKER_BASE && code <= MARKER_LIMIT;
+}
+
+function segment(type, text, extra = {}) {
+    return { type, text, ...extra };
+}
+
+// Telegram JSON text: a string, or an array of strings and { type, text, href }
+function fromTelegramText(text) {
+    if (typeof text === 'string') return [segment('plain', text)];
+    if (!Array.isArray(text)) return [];
+    return text.map(part => typeof part === 'string'
+        ? segment('plain', part)
+        : segment(part.type || 'plain', part.text || '', part.href ? { href: part.href } : {}));
+}
+
+// Strip leading/trailing whitespace of the whole text, keeping the segments
+function trimEntities(entities) {
+    const result = entities.map(entity => ({ ...entity }));
+    if (result.length > 0) {
+        result[0].text = result[0].text.replace(/^\s+/, '');
+        result[result.length - 1].text = result[result.length - 1].text.replace(/\s+$/, '');
+    }
+    return result.filter(entity => entity.text);
+}
+
+function plainText(entities) {
+    return entities.map(entity => entity.text).join('');
+}
+
+function hasFormatting(entities) {
+    return Boolean(entities) && entities.some(entity => entity.type !== 'plain');
+}
+
+// Entities -> marked text for the provider chain, or null when there are more
+// entities than marker characters (the caller then translates plain text)
+function toMarkedText(entities) {
+    let next = MARKER_BASE;
+    const plan = new Map(); // marker char -> { index, role: 'open' | 'close' | 'atom' }
+    let text = '';
+
+    for (const [index, entity] of entities.entries()) {
+        if (entity.type === 'plain') {
+            text += entity.text.replace(MARKER, '');
+            continue;
+        }
+        if (next + 1 > MARKER_LIMIT) return null;
+
+        if (ATOMIC_TYPES.has(entity.type)) {
+            const marker = String.fromCharCode(next++);
+            plan.set(marker, { index, role: 'atom' });
+            text += marker;
+        } else {
+            const open = String.fromCharCode(next++);
+            const close = String.fromCharCode(next++);
+            plan.set(open, { index, role: 'open' });
+            plan.set(close, { index, role: 'close' });
+            text += open + entity.text.replace(MARKER, '') + close;
+        }
+    }
+
+    return { text, plan };
+}
+
+// Translated marked text -> entities. Formatting whose markers the provider
+// moved or dropped degrades to plain text; atoms it dropped are appended so
+// no code, link or mention is lost.
+function fromMarkedText(translated, entities, plan) {
+    const result = [];
+    const placed = new Set();
+    let buffer = '';
+    let open = null; // Index of the formatting segment being read
+
+    const flush = () => {
+        if (!buffer) return;
+        const source = open !== null ? entities[open] : null;
+        result.push(source ? { ...source, text: buffer } : segment('plain', buffer));
+        buffer = '';
+    };
+
+    for (const char of translated) {
+        const step = plan.get(char);
+        if (!step) {
+            if (!isMarker(char)) buffer += char;
+            continue;
+        }
+
+        if (step.role === 'atom') {
+            flush();
+            result.push({ ...entities[step.index] });
+            placed.add(step.index);
+        } else if (step.role === 'open') {
+            flush();
+            open = step.index;
+        } else if (step.role === 'close' && open === step.index) {
+            flush();
+            open = null;
+        }
+    }
+    flush();
+
+    for (const [, step] of plan) {
+        if (step.role === 'atom' && !placed.has(step.index)) {
+            const last = result[result.length - 1];
+            if (last && !/\s$/.test(last.text)) result.push(segment('plain', ' '));
+            result.push({ ...entities[step.index] });
+        }
+    }
+
+    return result.filter(entity => entity.text);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const TAGS = {
+    bold: 'strong',
+    italic: 'em',
+    underline: 'u',
+    strikethrough: 's',
+    code: 'code',
+    pre: 'pre',
+    blockquote: 'blockquote'
+};
+
+// `renderText` turns a segment's text into HTML (e.g. with search hits marked)
+function renderEntities(entities, renderText = escapeHtml) {
+    return entities.map(entity => {
+        const text = renderText(entity.text);
+        if (TAGS[entity.type]) {
+            return `<${TAGS[entity.type]} class="entity-${entity.type}">${text}</${TAGS[entity.type]}>`;
+        }
+
+        switch (entity.type) {
+            // Exports often come from hostile chats, so links are copied on click, never opened
+            case 'link':
+            case 'text_link':
+            case 'email': {
+                const href = entity.type === 'text_link' ? entity.href : entity.text;
+                return href
+                    ? `<a class="entity-link" data-href="${escapeHtml(href)}" title="${escapeHtml(href)} (click to copy)">${text}</a>`
+                    : text;
+            }
+            case 'spoiler':
+                return `<span class="entity-spoiler" title="Click to reveal">${text}</span>`;
+            case 'mention':
+            case 'mention_name':
+            case 'hashtag':
+            case 'cashtag':
+            case 'bot_command':
+                return `<span class="entity-tag">${text}</span>`;
+            default:
+                return text;
+        }
+    }).join('');
+}
+
+// Plain text for exports, with link targets kept in brackets
+function toExportText(entities) {
+    return entities.map(entity => entity.type === 'text_link' && entity.href && entity.href !== entity.text
+        ? `${entity.text} (${entity.href})`
+        : entity.text).join('');
+}
+
+module.exports = {
+    segment,
+    fromTelegramText,
+    trimEntities,
+    plainText,
+    hasFormatting,
+    toMarkedText,
+    fromMarkedText,
+    renderEntities,
+    toExportText,
+    escapeHtml,
+    ATOMIC_TYPES
+};
@@ -0,0 +1,206 @@
+// Virtualized list for the chat panels
+//
+// Only the rows in and around the viewport are in the DOM. Heights are
+// estimated until a row has been rendered and measured; row offsets are
+// prefix sums over the heights, rebuilt from the first row that changed.
+// Rows are HTML strings from `renderRow(index)`, each wrapped in a
+// div[data-row] so it can be measured and replaced in place.
+//
+// Positions are exchanged as anchors ({ index, ratio }: the row at the top of
+// the viewport and how far into it), so two lists with the same rows but
+// different row heights can be kept on the same row.
+//
+// Chromium stops laying out elements past ~33M px, which a few hundred
+// thousand messages exceed, so the spacer is capped and scroll positions are
+// mapped linearly onto the full content height.
+
+const OVERSCAN_PX = 600;
+const MAX_SPACER_PX = 15000000;
+
+function createVirtualList({ container, renderRow, estimateHeight = () => 72, onScroll }) {
+    const spacer = document.createElement('div');
+    spacer.style.position = 'relative';
+    const view = document.createElement('div');
+    view.style.position = 'absolute';
+    view.style.left = '0';
+    view.style.right = '0';
+    spacer.appendChild(view);
+    container.replaceChildren(spacer);
+
+    let count = 0;
+    let heights = new Float64Array(0);
+    let offsets = new Float64Array(1);
+    let dirtyFrom = 0;
+    let first = 0;
+    let last = -1;
+    let expectedTop = null; // scrollTop we set ourselves, so it isn't reported as a user scroll
+
+    function rebuildOffsets() {
+        if (dirtyFrom >= count) return;
+        for (let i = dirtyFrom; i < count; i++) {
+            offsets[i + 1] = offsets[i] + heights[i];
+        }
+        dirtyFrom = count;
+        spacer.style.height = `${Math.min(offsets[count], MAX_SPACER_PX)}px`;
+    }
+
+    // Content position <-> scrollTop; the identity unless the spacer is capped
+    function scrollRatio() {
+        const content = offsets[count] - container.clientHeight;
+        const scrollable = Math.min(offsets[count], MAX_SPACER_PX) - container.clientHeight;
+        return content > 0 && scrollable > 0 ? content / scrollable : 1;
+    }
+
+    function contentTop() {
+        return container.scrollTop * scrollRatio();
+    }
+
+    // Rendered rows are placed relative to the viewport, which is where they
+    // belong when the mapping isn't the identity
+    function placeView() {
+        view.style.top = `${offsets[first] - contentTop() + container.scrollTop}px`;
+    }
+
+    // Index of the row covering vertical position y
+    function indexAt(y) {
+        let low = 0;
+        let high = count - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= y) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    // Scroll so that content position `value` is at the top of the viewport
+    function setScrollTop(value) {
+        const max = Math.max(0, offsets[count] - container.clientHeight);
+        expectedTop = Math.round(Math.min(max, Math.max(0, value)) / scrollRatio());
+        container.scrollTop = expectedTop;
+    }
+
+    function getAnchor() {
+        if (count === 0) return null;
+        rebuildOffsets();
+        const top = contentTop();
+        const index = indexAt(top);
+        return { index, ratio: heights[index] ? (top - offsets[index]) / heights[index] : 0 };
+    }
+
+    function setAnchor(anchor) {
+        if (!anchor || count === 0) return;
+        rebuildOffsets();
+        const index = Math.min(anchor.index, count - 1);
+        setScrollTop(offsets[index] + anchor.ratio * heights[index]);
+        update();
+    }
+
+    // Read the real heights of the rendered rows; rows above the viewport that
+    // changed would shift the content, so the top row is kept in place
+    function measure() {
+        const anchor = getAnchor();
+        let changed = false;
+        for (const row of view.children) {
+            const index = Number(row.dataset.row);
+            const height = row.offsetHeight;
+            if (height > 0 && height !== heights[index]) {
+                heights[index] = height;
+                dirtyFrom = Math.min(dirtyFrom, index);
+                changed = true;
+            }
+        }
+        if (!changed) return false;
+
+        rebuildOffsets();
+        if (anchor) setScrollTop(offsets[anchor.index] + anchor.ratio * heights[anchor.index]);
+        placeView();
+        return true;
+    }
+
+    function rowHtml(index) {
+        return `<div class="virtual-row" data-row="${index}" style="display: flow-root">${renderRow(index)}</div>`;
+    }
+
+    // Render the rows around the viewport; `force` re-renders an unchanged range.
+    // Returns whether measuring the new rows changed any height.
+    function update(force = false) {
+        rebuildOffsets();
+        if (count === 0) {
+            view.innerHTML = '';
+            first = 0;
+            last = -1;
+            return false;
+        }
+
+        const top = contentTop();
+        const start = indexAt(Math.max(0, top - OVERSCAN_PX));
+        const end = indexAt(top + container.clientHeight + OVERSCAN_PX);
+        if (!force && start === first && end === last) {
+            placeView();
+            return false;
+        }
+
+        let html = '';
+        for (let i = start; i <= end; i++) html += rowHtml(i);
+        view.innerHTML = html;
+        first = start;
+        last = end;
+        placeView();
+
+        // New heights can leave the viewport uncovered; fill it on the next frame
+        const changed = measure();
+        if (changed) requestAnimationFrame(() => update());
+        return changed;
+    }
+
+    function setCount(newCount) {
+        count = newCount;
+        heights = new Float64Array(count);
+        offsets = new Float64Array(count + 1);
+        for (let i = 0; i < count; i++) heights[i] = estimateHeight(i);
+        dirtyFrom = 0;
+        first = 0;
+        last = -1;
+        setScrollTop(0);
+        update(true);
+    }
+
+    // Re-render one row if it is on screen; off-screen rows pick up the change when shown
+    function updateRow(index) {
+        if (index < first || index > last) return;
+        const row = view.querySelector(`[data-row="${index}"]`);
+        if (!row) return;
+        row.innerHTML = renderRow(index);
+        if (measure()) requestAnimationFrame(() => update());
+    }
+
+    // Measuring the rows around the target can move it, so settle in a few passes
+    function scrollToIndex(index) {
+        if (index < 0 || index >= count) return;
+        for (let pass = 0; pass < 3; pass++) {
+            rebuildOffsets();
+            setScrollTop(offsets[index] - (container.clientHeight - heights[index]) / 2);
+            if (!update(true)) break;
+        }
+    }
+
+    container.addEventListener('scroll', () => {
+        const byUser = expectedTop === null || Math.abs(container.scrollTop - expectedTop) > 1;
+        expectedTop = null;
+        update();
+        if (byUser && onScroll) onScroll();
+    });
+    new ResizeObserver(() => update()).observe(container);
+
+    return {
+        setCount,
+        refresh: () => update(true),
+        updateRow,
+        scrollToIndex,
+        getAnchor,
+        setAnchor
+    };
+}
+
+module.exports = { createVirtualList };
@@ -0,0 +1,47 @@
+// CSV parsing shared by the main process (glossary import) and the renderer
+// (chat import adapters); no Node or Electron dependencies
+
+// Minimal RFC 4180 parser (quoted fields, doubled quotes, CRLF or LF);
+// the delimiter can be ';' or a tab for the dialects spreadsheets export
+function parseCsv(content, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = content.replace(/^\ufeff/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+module.exports = { parseCsv };
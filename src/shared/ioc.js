@@ -0,0 +1,168 @@
+// Indicators of compromise
+//
+// Finds URLs, domains, IPs, hashes, wallet addresses, CVE IDs, emails and
+// @handles in free text. Defanged forms seen in threat-intel chatter
+// (hxxp://, example[.]com, 1.2.3(.)4) are recognised as well. Matches are
+// returned as spans so the translation pipeline can shield them. Shared by the
+// main process and the chat viewer; no Node or Electron dependencies.
+
+// Dot, or one of its defanged spellings
+const DOT = '(?:\\.|\\[\\.\\]|\\(\\.\\)|\\{\\.\\}|\\[dot\\]|\\(dot\\))';
+
+// TLDs we accept for bare domains; keeps "file.txt" and "Node.js" out
+const TLDS = [
+    'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'tv', 'cc', 'ws', 'to', 'pw', 'top', 'xyz',
+    'site', 'online', 'club', 'shop', 'store', 'app', 'dev', 'cloud', 'tech', 'space', 'website', 'link',
+    'click', 'live', 'pro', 'name', 'mobi', 'gov', 'edu', 'mil', 'int', 'onion', 'i2p', 'bit',
+    'ru', 'su', 'ua', 'by', 'kz', 'uz', 'kg', 'tj', 'am', 'az', 'ge', 'md', 'lt', 'lv', 'ee',
+    'cn', 'hk', 'tw', 'jp', 'kr', 'vn', 'id', 'in', 'ir', 'tr', 'il', 'ae', 'sa',
+    'de', 'uk', 'fr', 'nl', 'eu', 'us', 'ca', 'au', 'nz', 'br', 'es', 'it', 'pl', 'cz', 'ro',
+    'ch', 'se', 'no', 'fi', 'dk', 'at', 'be', 'tk', 'ml', 'ga', 'cf', 'gq',
+    'is', 'cx', 'gg', 'la', 'li', 'lu', 'nu', 'sh', 'so', 'st', 'sx', 'vc', 'ac', 'ag'
+];
+
+const LABEL = '[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?';
+const BASE58 = '[1-9A-HJ-NP-Za-km-z]';
+
+// Order matters: earlier patterns win when matches overlap
+const PATTERNS = [
+    { type: 'url', regex: new RegExp(`\\b(?:h[xXtT]{2}ps?|ftp)(?::|\\[:\\])\\/\\/[^\\s<>"'\`]+`, 'gi') },
+    { type: 'email', regex: new RegExp(`\\b[a-zA-Z0-9._%+-]+(?:@|\\[@\\]|\\[at\\])(?:${LABEL}${DOT})+[a-zA-Z]{2,24}\\b`, 'g') },
+    { type: 'onion', regex: new RegExp(`\\b(?:${LABEL}${DOT})*[a-z2-7]{16}(?:[a-z2-7]{40})?${DOT}onion\\b`, 'gi') },
+    { type: 'ipv4', regex: new RegExp(`(?<![\\d.])(?:\\d{1,3}${DOT}){3}\\d{1,3}(?::\\d{1,5})?(?:\\/\\d{1,2})?(?![\\d.]\\d)`, 'g') },
+    { type: 'ipv6', regex: /(?<![\w:])(?:[0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{1,4}(?![\w:])/g },
+    { type: 'domain', regex: new RegExp(`(?<![\\w.@-])(?:${LABEL}${DOT})+(?:${TLDS.join('|')})(?::\\d{1,5})?(?![\\w-]|${DOT}\\w)`, 'gi') },
+    { type: 'sha512', regex: /\b[a-fA-F0-9]{128}\b/g },
+    { type: 'sha256', regex: /\b[a-fA-F0-9]{64}\b/g },
+    { type: 'sha1', regex: /\b[a-fA-F0-9]{40}\b/g },
+    { type: 'md5', regex: /\b[a-fA-F0-9]{32}\b/g },
+    { type: 'eth', regex: /\b0x[a-fA-F0-9]{40}\b/g },
+    { type: 'btc', regex: new RegExp(`\\b(?:bc1[a-zA-HJ-NP-Z0-9]{25,87}|[13]${BASE58}{25,34})\\b`, 'g') },
+    { type: 'xmr', regex: new RegExp(`\\b[48][0-9AB]${BASE58}{93}\\b`, 'g') },
+    { type: 'tron', regex: new RegExp(`\\bT${BASE58}{33}\\b`, 'g') },
+    { type: 'cve', regex: /\bCVE-\d{4}-\d{4,7}\b/gi },
+    { type: 'handle', regex: /(?<![\w@.])@[A-Za-z][A-Za-z0-9_]{3,31}\b/g }
+];
+
+// Punctuation that ends a sentence rather than a URL
+const URL_TRAILING = /[.,;:!?)\]}\u00bb\u201d'"]+$/;
+
+function isValidIpv4(value) {
+    const octets = value.replace(/[[\]()]|dot/gi, '').split(/[.:/]/).slice(0, 4);
+    return octets.every(octet => Number(octet) <= 255);
+}
+
+function isValidIpv6(value) {
+    // Clock times like 12:30:45 only have digits and no "::"
+    return value.includes('::') || value.split(':').length === 8;
+}
+
+// All indicators in `text` as non-overlapping spans: [{ start, end, type, value }]
+function findIocs(text) {
+    const found = [];
+    const overlaps = (start, end) => found.some(span => start < span.end && span.start < end);
+
+    for (const { type, regex } of PATTERNS) {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            let value = match[0];
+            if (type === 'url') {
+                // Drop sentence punctuation glued to the end of the link
+                const trailing = value.match(URL_TRAILING);
+                if (trailing) value = value.slice(0, value.length - trailing[0].length);
+            }
+            if (type === 'ipv4' && !isValidIpv4(value)) continue;
+            if (type === 'ipv6' && !isValidIpv6(value)) continue;
+
+            const start = match.index;
+            const end = start + value.length;
+            if (!value || overlaps(start, end)) continue;
+            found.push({ start, end, type, value });
+        }
+    }
+
+    return found.sort((a, b) => a.start - b.start);
+}
+
+// Undo defanging: hxxp -> http, [.] -> ., [:] -> :, [@] / [at] -> @
+function refang(value) {
+    return value
+        .replace(/^h[xX]{2}p(s?)/i, 'http$1')
+        .replace(/\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)/gi, '.')
+        .replace(/\[:\]/g, ':')
+        .replace(/\[@\]|\[at\]/gi, '@');
+}
+
+// Make an indicator safe to paste into reports/chats (no clickable links)
+function defang(value, type) {
+    const clean = refang(value);
+    switch (type) {
+        case 'url':
+            return clean
+                .replace(/^http/i, 'hxxp')
+                .replace(/^([^/]*\/\/[^/?#]*)/, host => host.replace(/\./g, '[.]'));
+        case 'domain':
+        case 'onion':
+        case 'ipv4':
+            return clean.replace(/\./g, '[.]');
+        case 'email':
+            return clean.replace('@', '[@]').replace(/\./g, '[.]');
+        default:
+            return clean;
+    }
+}
+
+// Canonical form used for de-duplication and export
+function normalize(value, type) {
+    const clean = refang(value);
+    switch (type) {
+        case 'url':
+            return clean.replace(/^([^/]*\/\/[^/?#]*)/, host => host.toLowerCase());
+        case 'domain':
+        case 'onion':
+        case 'email':
+        case 'handle':
+        case 'eth':
+        case 'md5':
+        case 'sha1':
+        case 'sha256':
+        case 'sha512':
+            return clean.toLowerCase();
+        case 'btc':
+            return /^bc1/i.test(clean) ? clean.toLowerCase() : clean;
+        case 'cve':
+            return clean.toUpperCase();
+        default:
+            return clean;
+    }
+}
+
+// De-duplicated indicators across several texts.
+//   texts: [{ text, source: 'original' | 'translation', ref }]
+// Returns [{ type, value, defanged, count, sources, refs }] in first-seen order.
+function extractIocs(texts) {
+    const byKey = new Map();
+
+    for (const { text, source, ref } of texts) {
+        if (!text) continue;
+        for (const ioc of findIocs(text)) {
+            const value = normalize(ioc.value, ioc.type);
+            const key = `${ioc.type}:${value}`;
+            let entry = byKey.get(key);
+            if (!entry) {
+                entry = { type: ioc.type, value, defanged: defang(value, ioc.type), count: 0, sources: [], refs: [] };
+                byKey.set(key, entry);
+            }
+            entry.count++;
+            if (source && !entry.sources.includes(source)) entry.sources.push(source);
+            if (ref !== undefined && ref !== null && !entry.refs.includes(ref) && entry.refs.length < 50) {
+                entry.refs.push(ref);
+            }
+        }
+    }
+
+    return [...byKey.values()];
+}
+
+module.exports = { findIocs, extractIocs, refang, defang, normalize, PATTERNS };
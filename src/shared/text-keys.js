@@ -0,0 +1,20 @@
+// Comparison keys for message texts, shared by the translation memory (main
+// process) and chat search (renderer); no Node or Electron dependencies
+
+// Same text up to whitespace
+function exactKey(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// Case, numbers, links and handles folded away, for near-repeat matching
+function fold(text) {
+    return text.toLowerCase()
+        .replace(/[\uE000-\uF8FF]/g, ' ') // Formatting markers (see main/placeholders.js)
+        .replace(/https?:\/\/\S+|www\.\S+/g, ' url ')
+        .replace(/@\w+/g, ' user ')
+        .replace(/\d+(?:[.,:]\d+)*/g, '0')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = { exactKey, fold };